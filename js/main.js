@@ -1,10 +1,13 @@
 /* =====================================================================
    main.js — El 32 Landing Scripts (Performance Pass)
    Structure:
-   1) Ambient Light Field Driver (Performance Patch)
+   0) Environment (shared live media signals) + Public API + Site
+      Helpers + Content Helpers + Analytics + Telemetry + Scroll Lock
+      + Page Mounts
+   1) Ambient Light Field Driver (Frame-budget Governor)
    2) Menu Toggle Controller (Phase 2, Refined)
-   3) Tagline Translation Toggle
-   4) iOS Safari Scroll/Pan Lock
+   3) Site Language (ES/EN)
+   4) Landing Scroll Lock
 
    Goals:
    - Preserve visuals + interactions exactly as-is
@@ -13,706 +16,6557 @@
 ===================================================================== */
 
 /* =====================================================================
-   1) El 32 — Ambient Light Field Driver (Cheap-by-Default)
-   Goals:
-   - Keep the SAME aesthetic (moving “club lights”)
-   - Make it cheaper for Safari/Chromium by default
-   - Enable “Ultra” mode (SVG displacement + blend) only on high-end setups
-
-   Output:
-   - Adds one class to <html>:
-       .fx-cheap  (default on most browsers/devices)
-       .fx-ultra  (desktop, non-iOS, higher-core devices)
+   0) El 32 — Environment (Shared Live Signals)
+   Purpose:
+   - ONE place that reads reduced-motion, small-screen and language
+   - Each signal: .value (current) + subscribe(fn) (called on change)
+   - Components re-configure themselves live instead of at load only
+   Notes:
+   - Top-level const (classic script), so every IIFE below can use it
+   - subscribe(fn, { immediate: true }) also runs fn once right away;
+     { signal } unsubscribes when that AbortSignal fires
+   - touchScrollLeaks is a plain flag (feature test, not the UA): true
+     where overflow: hidden doesn't stop touch scrolling (iOS WebKit,
+     the only engine that supports -webkit-touch-callout)
 ===================================================================== */
-
-(() => {
+const el32Env = (() => {
   "use strict";
 
-  /* =========================================================
-     FX Quality Gate (Cheap-by-default)
-  ========================================================== */
-  const root = document.documentElement;
+  const signal = (read, listen) => {
+    const listeners = new Set();
+    let current = read();
 
-  const prefersReducedMotion =
-    window.matchMedia?.("(prefers-reduced-motion: reduce)")?.matches ?? false;
+    listen(() => {
+      const next = read();
+      if (next === current) return;
+      current = next;
+      listeners.forEach((fn) => fn(current));
+    });
 
-  const isMobile = window.matchMedia?.("(max-width: 520px)")?.matches ?? false;
+    return {
+      get value() {
+        return current;
+      },
+      subscribe(fn, { immediate = false, signal } = {}) {
+        const unsubscribe = () => listeners.delete(fn);
+
+        listeners.add(fn);
+        signal?.addEventListener("abort", unsubscribe, { once: true });
+        if (immediate) fn(current);
+        return unsubscribe;
+      },
+    };
+  };
 
-  const isIOSSafari =
-    /iP(hone|ad|od)/.test(navigator.platform) ||
-    (navigator.userAgent.includes("Mac") && "ontouchend" in document);
+  // matchMedia change stream (Safari < 14 only has addListener)
+  const fromMedia = (query) => {
+    const mql = window.matchMedia?.(query);
+
+    return signal(
+      () => mql?.matches ?? false,
+      (onChange) => {
+        if (mql?.addEventListener) mql.addEventListener("change", onChange);
+        else mql?.addListener?.(onChange);
+      }
+    );
+  };
 
-  const lowCoreDevice = (navigator.hardwareConcurrency || 4) <= 4;
+  return {
+    reducedMotion: fromMedia("(prefers-reduced-motion: reduce)"),
+    mobile: fromMedia("(max-width: 520px)"),
+    lang: signal(
+      () => document.documentElement.lang || "en",
+      (onChange) => document.addEventListener("el32:lang-change", onChange)
+    ),
+    touchScrollLeaks:
+      navigator.maxTouchPoints > 0 &&
+      window.CSS?.supports?.("-webkit-touch-callout", "none") === true,
+  };
+})();
 
-  // Ultra only on higher-end environments
-  const ultraOK =
-    !prefersReducedMotion && !isMobile && !isIOSSafari && !lowCoreDevice;
+/* =====================================================================
+   0) El 32 — Public API (window.El32)
+   Purpose:
+   - Lets other scripts (promo embeds, a kiosk script, tests) drive the
+     components without synthesising clicks:
+       El32.lightbox.open(2)   El32.menu.close()
+       El32.lang.set("en")     El32.fx.pause()
+   - Each component exposes its own namespace (see its banner)
+   Notes:
+   - A namespace exists only while its component is on the page
+     (El32.lightbox is undefined on /menu): use El32.lightbox?.open(0)
+   - Page components re-expose themselves after every router swap, so
+     never keep a reference to a namespace across pages
+   - Components also fire "el32:*" CustomEvents (listed in README.md)
+===================================================================== */
+const el32Api = (() => {
+  "use strict";
 
-  root.classList.toggle("fx-ultra", ultraOK);
-  root.classList.toggle("fx-cheap", !ultraOK);
+  const api = {};
+  window.El32 = api;
 
-  /* =========================================================
-     Ambient Driver
-     - Transform-only drift (cheap)
-     - Turbulence updates ONLY in ultra mode (expensive)
-  ========================================================== */
-  const lightfield = document.querySelector(".lightfield");
-  const turbulence = document.getElementById("el32-turbulence");
-  if (!lightfield) return;
+  return {
+    // signal (a page mount's) removes the namespace when it aborts
+    expose(name, value, { signal } = {}) {
+      api[name] = value;
+      signal?.addEventListener("abort", () => {
+        if (api[name] === value) delete api[name];
+      }, { once: true });
+    },
+  };
+})();
 
-  // Motion tuning (same “feel”, lower churn on cheap mode)
-  const AMP_X = prefersReducedMotion ? 8 : (isMobile ? 24 : 56);
-  const AMP_Y = prefersReducedMotion ? 6 : (isMobile ? 16 : 40);
+/* =====================================================================
+   0) El 32 — Site Helpers (Shared Rules)
+   Purpose:
+   - ONE copy of the small rules several components apply:
+       el32Site.pageKey(url)                     "/about.html" → "about"
+       el32Site.devOverride("endpoint")          ?endpoint=… on localhost
+       el32Site.collector("el32-analytics", "analytics")
+       el32Site.beacon(url, batch)
+   Notes:
+   - isLocal: localhost, loopback or a file:// page ("" hostname);
+     query-string overrides only apply there, never on the live site
+   - optedOut: Do Not Track or Global Privacy Control (Analytics and
+     Telemetry send nothing)
+   - collector(): same-origin URL from <meta name> (or the dev override
+     param), else null (also for an unparsable value): batches never
+     leave the site
+   - beacon(): sendBeacon, else a keepalive fetch (best effort, never
+     throws)
+===================================================================== */
+const el32Site = (() => {
+  "use strict";
 
-  const ENABLE_TURBULENCE = ultraOK && !!turbulence;
+  const LOCAL_HOSTS = ["localhost", "127.0.0.1", "[::1]", ""];
 
-  // SVG turbulence tuning (expensive; ultra only)
-  const TURB_UPDATE_MS = 160; // ~6fps, keeps the effect but cheaper
-  const BASE_FREQ_X = 0.012;
-  const BASE_FREQ_Y = 0.018;
-  const TURB_VARIANCE = prefersReducedMotion ? 0.0004 : 0.0020;
+  const isLocal = LOCAL_HOSTS.includes(window.location.hostname);
 
-  // Drift frame throttle (~30fps to reduce main-thread churn)
-  const FRAME_MIN_MS = 33;
+  const optedOut =
+    navigator.globalPrivacyControl === true ||
+    [navigator.doNotTrack, window.doNotTrack, navigator.msDoNotTrack].some(
+      (value) => value === "1" || value === "yes"
+    );
 
-  let rafId = null;
-  let lastFrame = 0;
-  let lastTurb = 0;
+  // "/about", "/about.html", "/about/" → "about"; "/" → "index"
+  const pageKey = (url = window.location) =>
+    url.pathname.replace(/\/+$/, "").split("/").pop().replace(/\.html$/, "") || "index";
 
-  // Cache last-written values to avoid redundant style recalcs
-  let lastX = NaN;
-  let lastY = NaN;
-  let lastR = NaN;
+  const devOverride = (param) =>
+    isLocal ? new URLSearchParams(window.location.search).get(param) || null : null;
 
-  const nearlyEqual = (a, b, eps) => Math.abs(a - b) <= eps;
+  const collector = (metaName, param) => {
+    const configured =
+      devOverride(param) ?? document.querySelector(`meta[name="${metaName}"]`)?.content;
+    if (!configured) return null;
 
-  const tick = (time) => {
-    if (time - lastFrame < FRAME_MIN_MS) {
-      rafId = requestAnimationFrame(tick);
-      return;
+    // A bad value switches the collector off; it must not stop the page
+    try {
+      const url = new URL(configured, window.location.href);
+      return url.origin === window.location.origin ? url.href : null;
+    } catch {
+      return null;
     }
-    lastFrame = time;
+  };
 
-    const t = time * 0.001;
+  const beacon = (url, batch) => {
+    const body = JSON.stringify(batch);
 
-    // Closed-loop travel + organic oscillation (keeps your same vibe)
-    const travelX = Math.sin(t * 0.10) * (AMP_X * 0.55);
-    const travelY = Math.cos(t * 0.09) * (AMP_Y * 0.55);
+    if (navigator.sendBeacon?.(url, new Blob([body], { type: "application/json" }))) return;
 
-    const x =
-      travelX +
-      Math.sin(t * 0.35) * AMP_X +
-      Math.sin(t * 0.18) * (AMP_X * 0.55);
+    // Beacon refused (too large / unsupported): best effort
+    fetch(url, {
+      method: "POST",
+      body,
+      keepalive: true,
+      headers: { "Content-Type": "application/json" },
+    }).catch(() => {});
+  };
 
-    const y =
-      travelY +
-      Math.cos(t * 0.30) * AMP_Y +
-      Math.sin(t * 0.22) * (AMP_Y * 0.65);
+  return { isLocal, optedOut, pageKey, devOverride, collector, beacon };
+})();
 
-    const rotation = Math.sin(t * 0.12) * (prefersReducedMotion ? 0.2 : 1.0);
+/* =====================================================================
+   0) El 32 — Content Helpers (Language, Markup, Business Data)
+   Purpose:
+   - The few readers every page component needs, written once:
+       el32Content.lang()                   "en" | "es" (COPY key)
+       el32Content.localize({ en, es })     string in the site language
+       el32Content.el("p", "card__title", "Wings")
+       el32Content.parseClock("20:00")      1200 (minutes after midnight)
+       el32Content.business()               the page's BarOrPub JSON-LD
+       el32Content.openingHours()           [{ day, opens, closes, length }]
+   Notes:
+   - localize(value, lang) takes a plain string or { en, es }; missing
+     translations fall back to English, then to any value
+   - business(): first JSON-LD node with an address (src/site.json, via
+     the head partial). Each script is parsed once per content, so hours
+     and booking share one parse and a router swap is picked up
+   - openingHours(): day is 0 (Sunday)–6; closing at/before opening
+     means the night runs past midnight (length counts on from opens)
+===================================================================== */
+const el32Content = (() => {
+  "use strict";
 
-    // Only write CSS vars when value meaningfully changes
-    if (!nearlyEqual(x, lastX, 0.06)) {
-      lightfield.style.setProperty("--lf-x", `${x}px`);
-      lastX = x;
-    }
+  const DAY = 24 * 60;
 
-    if (!nearlyEqual(y, lastY, 0.06)) {
-      lightfield.style.setProperty("--lf-y", `${y}px`);
-      lastY = y;
-    }
+  const DAYS = [
+    "Sunday",
+    "Monday",
+    "Tuesday",
+    "Wednesday",
+    "Thursday",
+    "Friday",
+    "Saturday",
+  ];
 
-    if (!nearlyEqual(rotation, lastR, 0.012)) {
-      lightfield.style.setProperty("--lf-r", `${rotation}deg`);
-      lastR = rotation;
+  const lang = () => (document.documentElement.lang === "es" ? "es" : "en");
+
+  const localize = (value, forLang = lang()) => {
+    if (!value) return "";
+    if (typeof value !== "object") return String(value);
+    return String(value[forLang] || value.en || Object.values(value)[0] || "");
+  };
+
+  const el = (tag, className, text) => {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text) node.textContent = text;
+    return node;
+  };
+
+  // "20:00" / "20:00:00" -> minutes after midnight
+  const parseClock = (value) => {
+    const m = /^(\d{1,2}):(\d{2})/.exec(String(value || ""));
+    return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+  };
+
+  // --- JSON-LD ---------------------------------------------------------
+
+  // script → { text, nodes } (re-parsed only when its text changes)
+  const parsed = new WeakMap();
+
+  const nodesOf = (script) => {
+    const text = script.textContent;
+    const hit = parsed.get(script);
+    if (hit?.text === text) return hit.nodes;
+
+    let nodes = [];
+    try {
+      const data = JSON.parse(text);
+      nodes = [].concat(data?.["@graph"] || data);
+    } catch {
+      // Broken block: skipped
     }
 
-    // Ultra-only: turbulence updates (slow)
-    if (ENABLE_TURBULENCE && time - lastTurb > TURB_UPDATE_MS) {
-      lastTurb = time;
+    parsed.set(script, { text, nodes });
+    return nodes;
+  };
 
-      const freqX = BASE_FREQ_X + Math.sin(t * 0.22) * TURB_VARIANCE;
-      const freqY = BASE_FREQ_Y + Math.cos(t * 0.19) * TURB_VARIANCE;
+  const business = () => {
+    const scripts = document.querySelectorAll('script[type="application/ld+json"]');
 
-      turbulence.setAttribute("baseFrequency", `${freqX} ${freqY}`);
+    for (const script of scripts) {
+      const place = nodesOf(script).find((n) => n?.address);
+      if (place) return place;
     }
 
-    rafId = requestAnimationFrame(tick);
+    return null;
   };
 
-  const stop = () => {
-    if (!rafId) return;
-    cancelAnimationFrame(rafId);
-    rafId = null;
+  const openingHours = () => {
+    const specs = business()?.openingHoursSpecification;
+    if (!Array.isArray(specs)) return [];
+
+    return specs.flatMap((spec) => {
+      const opens = parseClock(spec?.opens);
+      const closes = parseClock(spec?.closes);
+      if (opens === null || closes === null) return [];
+
+      const length = closes > opens ? closes - opens : closes + DAY - opens;
+
+      return [].concat(spec.dayOfWeek)
+        .map((name) => DAYS.indexOf(String(name).replace(/^https?:\/\/schema\.org\//, "")))
+        .filter((day) => day >= 0)
+        .map((day) => ({ day, opens, closes, length }));
+    });
   };
 
-  const start = () => {
-    if (rafId) return;
-    lastFrame = 0;
-    lastTurb = 0;
-    rafId = requestAnimationFrame(tick);
+  return { DAYS, lang, localize, el, parseClock, business, openingHours };
+})();
+
+/* =====================================================================
+   0) El 32 — Interaction Analytics (Batched, Private)
+   Purpose:
+   - Components record named interactions:
+       el32Analytics.track("menu-open")
+       el32Analytics.track("lightbox-swipe", { index: 3, dir: "next" })
+   - Batched in memory, flushed with navigator.sendBeacon on pagehide
+     (and when the tab is hidden, which is all some mobile browsers fire)
+   - Sink = a same-origin endpoint from
+       <meta name="el32-analytics" content="/collect">
+     On localhost, ?analytics=/collect overrides it
+     (tools/form-stub.js logs what arrives)
+   Privacy:
+   - Do Not Track or Global Privacy Control → nothing is recorded
+   - No cookies, no storage, no IDs: each event carries name, page key
+     (path only: no query, no hash), time since load and a few
+     primitive props (never what a guest typed)
+   Notes:
+   - No endpoint configured → tracking is off (calls are no-ops)
+   - El32.analytics.setSink(fn) swaps in another sink (fn(batch)),
+     e.g. for debugging; null switches tracking off
+===================================================================== */
+const el32Analytics = (() => {
+  "use strict";
+
+  const MAX_QUEUE = 50; // flush early instead of growing on long visits
+  const MAX_TEXT = 64;
+
+  const endpoint = el32Site.collector("el32-analytics", "analytics");
+
+  let sink = endpoint ? (batch) => el32Site.beacon(endpoint, batch) : null;
+  const queue = [];
+
+  // Primitive props only (numbers, booleans, short strings)
+  const clean = (props) =>
+    Object.fromEntries(
+      Object.entries(props || {})
+        .filter(([, value]) =>
+          typeof value === "boolean" ||
+          typeof value === "string" ||
+          (typeof value === "number" && Number.isFinite(value))
+        )
+        .map(([key, value]) => [key, typeof value === "string" ? value.slice(0, MAX_TEXT) : value])
+    );
+
+  const enabled = () => !el32Site.optedOut && !!sink;
+
+  const flush = () => {
+    if (queue.length === 0 || !sink) return;
+
+    const batch = {
+      lang: document.documentElement.lang || "en",
+      events: queue.splice(0),
+    };
+
+    try {
+      sink(batch);
+    } catch (err) {
+      window.reportError?.(err);
+    }
   };
 
-  // Start
-  start();
+  const track = (name, props) => {
+    if (!enabled()) return;
 
-  // Pause/resume when tab visibility changes
+    queue.push({
+      name: String(name),
+      page: el32Site.pageKey(),
+      t: Math.round(performance.now()),
+      ...clean(props),
+    });
+
+    if (queue.length >= MAX_QUEUE) flush();
+  };
+
+  window.addEventListener("pagehide", flush);
   document.addEventListener("visibilitychange", () => {
-    if (document.hidden) stop();
-    else start();
+    if (document.hidden) flush();
   });
 
-  // Page lifecycle safety
-  window.addEventListener("pagehide", stop, { passive: true });
-  window.addEventListener("pageshow", start, { passive: true });
+  // One view per page load, and per client-side page change
+  track("page-view");
+  document.addEventListener("el32:page-change", () => track("page-view"));
+
+  el32Api.expose("analytics", {
+    track,
+    flush,
+    setSink(fn) {
+      flush();
+      sink = typeof fn === "function" ? fn : null;
+    },
+    get enabled() {
+      return enabled();
+    },
+  });
+
+  return { track };
 })();
 
 /* =====================================================================
-   2) El 32 — Menu Toggle Controller (Phase 2, Refined)
+   0) El 32 — Field Telemetry (Errors + Web Vitals)
    Purpose:
-   - Non-boxy nav reveal under logo
-   - Accessibility: aria-expanded, Escape to close, click-outside
+   - Tells us whether the Safari tuning holds up on real devices:
+       errors    "error" + "unhandledrejection", with the component
+                 that failed (page mounts name themselves) or, else,
+                 the one the guest last touched
+       LCP, CLS, INP, long tasks   via PerformanceObserver
+   - Every sample carries the page key and the FX level at the time
+     (ultra / cheap / off, see 1) so slow frames can be tied to a mode
+   - Sink = a same-origin endpoint from
+       <meta name="el32-telemetry" content="/telemetry" data-sample-rate="0.1">
+     On localhost, ?telemetry=/telemetry overrides it
+     (tools/form-stub.js logs what arrives)
    Notes:
-   - Uses data-open + CSS transitions
-   - IMPORTANT: Your HTML uses `hidden` on the panel.
-     To keep your animation smooth, we:
-       - Remove hidden immediately on open
-       - Re-add hidden after the close transition finishes
+   - Sampling is per page load: one random draw against
+     data-sample-rate (0–1, default 1) decides whether anything is sent
+   - Deduplicated: an error is sent once per page load (repeats only
+     count up), a metric only when its value changed since last sent
+   - Vitals are final when the page is hidden: sent on pagehide /
+     visibilitychange → hidden; a client-side page change (router)
+     sends the old page's numbers and starts CLS / INP / long tasks
+     over (LCP belongs to the first, real load only)
+   - Same privacy rules as Analytics: Do Not Track / Global Privacy
+     Control → nothing is sent; no cookies, no storage, no IDs
+   - ?telemetry-debug=1 (localhost only, like the endpoint override)
+     samples every load and prints a summary table to the console
+     whenever the samples would be sent (sends too, if an endpoint is
+     configured)
+   API (El32.telemetry):
+   - captureError(err, { component }), flush(), summary(),
+     sampled / enabled (read-only)
 ===================================================================== */
-
-(() => {
+const el32Telemetry = (() => {
   "use strict";
 
-  const root = document.querySelector("[data-menu]");
-  if (!root) return;
+  const MAX_QUEUE = 30;
+  const MAX_ERRORS = 10; // per page load: a throwing loop must not flood
+  const MAX_TEXT = 160;
 
-  const toggle = root.querySelector("[data-menu-toggle]");
-  const panel = root.querySelector("[data-menu-panel]");
-  if (!toggle || !panel) return;
+  // Web Vitals "good" / "poor" boundaries
+  const THRESHOLDS = {
+    LCP: [2500, 4000],
+    CLS: [0.1, 0.25],
+    INP: [200, 500],
+  };
 
-  let isOpen = false;
-  let hideTimer = null;
+  // Where the guest last pressed / typed → which component that was
+  const COMPONENTS = [
+    ["[data-lightbox], [data-gallery]", "lightbox"],
+    ["[data-booking-form]", "booking"],
+    ["[data-contact-form]", "contact"],
+    ["[data-menu]", "menu"],
+    ["[data-gallery-grid], [data-gallery-albums], [data-gallery-more]", "gallery"],
+    ["[data-menu-grid], [data-menu-tools]", "menu-list"],
+    ["[data-events]", "events"],
+    ["[data-lang-switch], [data-tagline], [data-about-lead]", "lang"],
+  ];
+
+  const debug = el32Site.devOverride("telemetry-debug") === "1";
+
+  const endpoint = el32Site.collector("el32-telemetry", "telemetry");
+
+  const sampleRate = () => {
+    const rate = Number(
+      document.querySelector('meta[name="el32-telemetry"]')?.getAttribute("data-sample-rate") ?? 1
+    );
+    return Number.isFinite(rate) ? Math.max(0, Math.min(1, rate)) : 1;
+  };
 
-  /* =========================================================
-   Performance mode:
-   - When menu is open, reduce expensive FX paints (Safari)
-========================================================= */
-const setPerfMode = (on) => {
-  document.documentElement.classList.toggle("menu-open", on);
-};
+  const sampled = debug || Math.random() < sampleRate();
+  const enabled = () => sampled && !el32Site.optedOut && !!endpoint;
 
-  // Match your CSS close timing:
-  // .menu__panel transition: max-height 520ms ...
-  const HIDE_AFTER_CLOSE_MS = 460;
+  // --- context ---------------------------------------------------------
 
-  const setState = (open) => {
-    isOpen = open;
-    root.dataset.open = open ? "true" : "false";
-    toggle.setAttribute("aria-expanded", open ? "true" : "false");
-    panel.setAttribute("aria-hidden", open ? "false" : "true");
+  const fxMode = () => {
+    const classes = document.documentElement.classList;
+    return ["ultra", "cheap", "off"].find((level) => classes.contains(`fx-${level}`)) || "none";
   };
 
-  // Initialize closed
-  setState(false);
-  panel.hidden = true;
+  let lastTarget = null;
 
-  const openMenu = () => {
-    if (isOpen) return;
+  const remember = (e) => {
+    lastTarget = e.target;
+  };
+
+  document.addEventListener("pointerdown", remember, { capture: true, passive: true });
+  document.addEventListener("keydown", remember, { capture: true, passive: true });
+
+  const componentAt = (target) => {
+    if (!target?.isConnected || !target.closest) return "page";
+    const hit = COMPONENTS.find(([selector]) => target.closest(selector));
+    return hit ? hit[1] : "page";
+  };
+
+  // --- queue + sink ----------------------------------------------------
+
+  const queue = [];
+
+  const push = (sample) => {
+    if (!sampled) return;
+
+    queue.push({ ...sample, t: Math.round(performance.now()) });
+    if (queue.length >= MAX_QUEUE) send();
+  };
+
+  // --- errors ----------------------------------------------------------
 
-    setPerfMode(true);
+  const errors = new Map(); // key → { sample, count }
+  const seenErrors = new WeakSet(); // already captured with context
 
-    // Ensure panel can animate (removes UA display:none from [hidden])
-    panel.hidden = false;
+  const text = (value) => String(value ?? "").slice(0, MAX_TEXT);
+
+  // "…/js/main.js:1234:5" from the first stack frame (path only)
+  const sourceOf = (err, event) => {
+    const frame = String(err?.stack || "").match(/(?:https?:)?\/\/[^\s)]+:\d+:\d+/)?.[0];
+    const raw = frame || (event?.filename ? `${event.filename}:${event.lineno}:${event.colno}` : "");
+    return text(raw.replace(/^(?:https?:)?\/\/[^/]+/, ""));
+  };
 
-    // Cancel any pending hide from a recent close
-    if (hideTimer) {
-      clearTimeout(hideTimer);
-      hideTimer = null;
+  const captureError = (err, { component, event, kind = "error" } = {}) => {
+    if (err && typeof err === "object") {
+      if (seenErrors.has(err)) return;
+      seenErrors.add(err);
     }
 
-    setState(true);
+    const sample = {
+      type: kind,
+      name: text(err?.name || "Error"),
+      message: text(err?.message ?? event?.message ?? err),
+      source: sourceOf(err, event),
+      component: component || componentAt(lastTarget),
+      page: el32Site.pageKey(),
+      fx: fxMode(),
+    };
+
+    const key = `${sample.name}|${sample.message}|${sample.source}`;
+    const known = errors.get(key);
+    if (known) {
+      known.count += 1;
+      return;
+    }
 
-    // Optional: focus first link for keyboard users (UNCHANGED behavior)
-    const firstLink = panel.querySelector("a[href]");
-    firstLink?.focus?.({ preventScroll: true });
+    errors.set(key, { sample, count: 1 });
+    if (errors.size <= MAX_ERRORS) push(sample);
   };
 
-  const closeMenu = () => {
-    if (!isOpen) return;
+  window.addEventListener("error", (e) => {
+    // Script errors only (a failed resource load is a plain Event)
+    if (!(e instanceof ErrorEvent)) return;
+    captureError(e.error ?? e.message, { event: e });
+  });
 
-    setState(false);
+  window.addEventListener("unhandledrejection", (e) => {
+    captureError(e.reason, { kind: "rejection" });
+  });
 
-    setPerfMode(false);
+  // --- vitals ----------------------------------------------------------
 
-    // Re-apply hidden after the close animation completes
-    hideTimer = window.setTimeout(() => {
-      if (!isOpen) panel.hidden = true;
-    }, HIDE_AFTER_CLOSE_MS);
+  const vitals = new Map(); // name → { value, fx, ... } for the current page
+  const sent = new Map(); // "page|name" → value last sent
+  let page = el32Site.pageKey();
 
-    toggle.focus?.({ preventScroll: true });
+  const setVital = (name, value, extra) => {
+    vitals.set(name, { value, fx: fxMode(), ...extra });
   };
 
-  toggle.addEventListener(
-    "click",
-    () => (isOpen ? closeMenu() : openMenu()),
-    { passive: true }
-  );
+  const rate = (name, value) => {
+    const [good, poor] = THRESHOLDS[name] || [];
+    if (good === undefined) return undefined;
+    return value <= good ? "good" : value <= poor ? "needs-improvement" : "poor";
+  };
 
-  document.addEventListener("keydown", (e) => {
-    if (e.key === "Escape") closeMenu();
+  const observe = (type, onEntries, options = {}) => {
+    if (!window.PerformanceObserver?.supportedEntryTypes?.includes(type)) return null;
+
+    try {
+      const observer = new PerformanceObserver((list) => onEntries(list.getEntries()));
+      observer.observe({ type, buffered: true, ...options });
+      return observer;
+    } catch {
+      return null;
+    }
+  };
+
+  // LCP: the last candidate before the first input wins
+  let lcpDone = false;
+
+  const onPaints = (entries) => {
+    if (lcpDone) return;
+    const last = entries[entries.length - 1];
+    if (last) setVital("LCP", Math.round(last.renderTime || last.loadTime || last.startTime));
+  };
+
+  const stopLcp = () => {
+    if (lcpDone) return;
+    lcpDone = true;
+    lcpObserver?.disconnect();
+  };
+
+  ["keydown", "pointerdown"].forEach((type) => {
+    document.addEventListener(type, stopLcp, { once: true, capture: true, passive: true });
   });
 
-  document.addEventListener("pointerdown", (e) => {
-    if (!isOpen) return;
-    if (!root.contains(e.target)) closeMenu();
+  // CLS: largest session window (shifts < 1s apart, window ≤ 5s)
+  let cls = { value: 0, session: 0, first: 0, last: 0 };
+
+  const onShifts = (entries) => {
+    entries.forEach((entry) => {
+      if (entry.hadRecentInput) return;
+
+      const joins =
+        cls.session > 0 &&
+        entry.startTime - cls.last < 1000 &&
+        entry.startTime - cls.first < 5000;
+
+      cls.session = joins ? cls.session + entry.value : entry.value;
+      if (!joins) cls.first = entry.startTime;
+      cls.last = entry.startTime;
+
+      if (cls.session > cls.value) {
+        cls.value = cls.session;
+        setVital("CLS", Math.round(cls.value * 1000) / 1000);
+      }
+    });
+  };
+
+  // INP: worst interaction (≈ p98 once there are 50+ of them)
+  let interactions = new Map(); // interactionId → longest duration
+
+  const onEvents = (entries) => {
+    entries.forEach((entry) => {
+      if (!entry.interactionId) return;
+      const prev = interactions.get(entry.interactionId) || 0;
+      if (entry.duration > prev) interactions.set(entry.interactionId, entry.duration);
+    });
+
+    const worst = Array.from(interactions.values()).sort((a, b) => b - a);
+    const value = worst[Math.min(worst.length - 1, Math.floor(worst.length / 50))];
+    if (value !== undefined && value !== vitals.get("INP")?.value) {
+      setVital("INP", Math.round(value), { interactions: interactions.size });
+    }
+  };
+
+  // Long tasks: count, total and the longest one
+  const onLongTasks = (entries) => {
+    const tasks = vitals.get("long-tasks") || { value: 0, count: 0, max: 0 };
+
+    entries.forEach((entry) => {
+      tasks.value += entry.duration;
+      tasks.count += 1;
+      tasks.max = Math.max(tasks.max, entry.duration);
+    });
+
+    setVital("long-tasks", Math.round(tasks.value), {
+      count: tasks.count,
+      max: Math.round(tasks.max),
+    });
+  };
+
+  // Loads that aren't sampled don't pay for the observers
+  const lcpObserver = sampled ? observe("largest-contentful-paint", onPaints) : null;
+  if (sampled) {
+    observe("layout-shift", onShifts);
+    observe("event", onEvents, { durationThreshold: 40 });
+    observe("longtask", onLongTasks);
+  }
+
+  // Changed values only: the same numbers never go out twice
+  const queueVitals = () => {
+    vitals.forEach(({ value, ...extra }, name) => {
+      const key = `${page}|${name}`;
+      if (sent.get(key) === value) return;
+      sent.set(key, value);
+
+      push({ type: "vital", name, value, rating: rate(name, value), page, ...extra });
+    });
+  };
+
+  // --- send + debug ----------------------------------------------------
+
+  const summary = () => ({
+    page,
+    fx: fxMode(),
+    sampled,
+    enabled: enabled(),
+    vitals: Object.fromEntries(
+      Array.from(vitals, ([name, { value }]) => [name, { value, rating: rate(name, value) }])
+    ),
+    errors: Array.from(errors.values(), ({ sample, count }) => ({
+      component: sample.component,
+      message: sample.message,
+      source: sample.source,
+      count,
+    })),
+  });
+
+  const printSummary = () => {
+    const info = summary();
+    const status = info.enabled ? `→ ${endpoint}` : "(not sent)";
+
+    console.groupCollapsed(`[el32 telemetry] ${info.page} · fx ${info.fx} ${status}`);
+    console.table(info.vitals);
+    if (info.errors.length > 0) console.table(info.errors);
+    console.groupEnd();
+  };
+
+  const send = () => {
+    if (queue.length === 0) return;
+    const samples = queue.splice(0);
+    if (!enabled()) return;
+
+    try {
+      el32Site.beacon(endpoint, { lang: document.documentElement.lang || "en", samples });
+    } catch {
+      // Reporting must never be the thing that breaks the page
+    }
+  };
+
+  const flush = () => {
+    queueVitals();
+    if (debug) printSummary();
+    send();
+  };
+
+  window.addEventListener("pagehide", flush);
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) flush();
+  });
+
+  // Router swap: close the old page's books, start the new one's
+  document.addEventListener("el32:page-change", () => {
+    stopLcp();
+    flush();
+
+    vitals.clear();
+    cls = { value: 0, session: 0, first: 0, last: 0 };
+    interactions = new Map();
+    page = el32Site.pageKey();
   });
 
-  panel.addEventListener("click", (e) => {
-    const a = e.target.closest?.("a[href]");
-    if (!a) return;
-    closeMenu();
+  el32Api.expose("telemetry", {
+    captureError: (err, context) => captureError(err, { component: context?.component }),
+    flush,
+    summary,
+    get sampled() {
+      return sampled;
+    },
+    get enabled() {
+      return enabled();
+    },
   });
+
+  return { captureError };
 })();
 
 /* =====================================================================
-   El 32 — Logo Flicker Replay (No layout changes)
+   0) El 32 — Scroll Lock (Shared by Landing, Menu, Lightbox)
+   Purpose:
+   - ONE owner of "the page must not scroll right now":
+       const release = el32ScrollLock.lock({ allow: "[data-menu-panel]" });
+   - Reference-counted: the page scrolls again only once EVERY lock is
+     released, so nested overlays (menu → lightbox) can't unlock each
+     other or leave the page stuck
+   Notes:
+   - Locks the page's scroller: .page__scroll on inner pages, else the
+     document (pinned with position: fixed so it doesn't jump to the top)
+   - The position is saved on the first lock and put back on the last
+     release; inline styles are restored exactly as they were
+   - allow: selector for regions that keep their own scrolling (a long
+     open menu panel), while they still have room in that direction
+   - Touch: where overflow: hidden doesn't stop a finger (iOS WebKit,
+     see el32Env.touchScrollLeaks), touchmove is cancelled outside the
+     allowed regions while anything holds a lock
+   - Pinch-zoom gestures (WebKit gesture* events) are blocked page-wide,
+     except inside the open lightbox (pinch zooms the photo there)
+   - release() is safe to call twice; lock({ signal }) also releases
+     when that AbortSignal fires (page mounts)
 ===================================================================== */
-(() => {
+const el32ScrollLock = (() => {
   "use strict";
 
-  const logo = document.querySelector("[data-logo]");
-  if (!logo) return;
+  // One entry per holder: { allow }
+  const locks = new Set();
+
+  // { el, top, styles } while locked
+  let saved = null;
+
+  // Sets inline styles, returns the previous inline values
+  const pin = (el, styles) => {
+    const before = {};
+    Object.keys(styles).forEach((key) => {
+      before[key] = el.style[key];
+    });
+    Object.assign(el.style, styles);
+    return before;
+  };
+
+  const engage = () => {
+    const inner = document.querySelector(".page__scroll");
+
+    if (inner) {
+      saved = { el: inner, top: inner.scrollTop, styles: pin(inner, { overflow: "hidden" }) };
+      return;
+    }
+
+    const top = window.scrollY;
+    saved = {
+      el: document.body,
+      top,
+      styles: pin(document.body, {
+        overflow: "hidden",
+        position: "fixed",
+        top: `${-top}px`,
+        width: "100%",
+      }),
+    };
+  };
+
+  const disengage = () => {
+    if (!saved) return;
+    const { el, top, styles } = saved;
+    saved = null;
+
+    Object.assign(el.style, styles);
+
+    if (el !== document.body) el.scrollTop = top;
+    else if (top) window.scrollTo(0, top);
+  };
+
+  const lock = ({ allow = "", signal } = {}) => {
+    const entry = { allow };
+    if (locks.size === 0) engage();
+    locks.add(entry);
+
+    let released = false;
+
+    const release = () => {
+      if (released) return;
+      released = true;
+
+      locks.delete(entry);
+      if (locks.size === 0) disengage();
+    };
+
+    signal?.addEventListener("abort", release, { once: true });
+    return release;
+  };
+
+  // --- touch (iOS) -----------------------------------------------------
+
+  const allowedRegion = (target) => {
+    for (const { allow } of locks) {
+      const region = allow ? target?.closest?.(allow) : null;
+      if (region) return region;
+    }
+    return null;
+  };
+
+  // dy > 0: finger moving up, content would scroll down
+  const hasRoom = (el, dy) =>
+    dy > 0 ? el.scrollTop + el.clientHeight < el.scrollHeight - 1 : el.scrollTop > 0;
+
+  let lastY = 0;
+
+  document.addEventListener("touchstart", (e) => {
+    lastY = e.touches[0]?.clientY ?? 0;
+  }, { passive: true });
+
+  // Blocks page drag (rubber-band) but never taps/clicks
+  document.addEventListener("touchmove", (e) => {
+    if (locks.size === 0 || !el32Env.touchScrollLeaks || !e.cancelable) return;
+
+    const y = e.touches[0]?.clientY ?? lastY;
+    const dy = lastY - y;
+    lastY = y;
+
+    const region = e.touches.length === 1 ? allowedRegion(e.target) : null;
+    if (region && hasRoom(region, dy)) return;
+
+    e.preventDefault();
+  }, { passive: false });
+
+  // --- pinch-zoom (older iOS Safari gesture events) --------------------
+
+  const blockGesture = (e) => {
+    if (e.target?.closest?.("[data-lightbox]:not([hidden])")) return;
+    e.preventDefault();
+  };
+
+  document.addEventListener("gesturestart", blockGesture, { passive: false });
+  document.addEventListener("gesturechange", blockGesture, { passive: false });
+  document.addEventListener("gestureend", blockGesture, { passive: false });
+
+  return {
+    lock,
+    get locked() {
+      return locks.size > 0;
+    },
+  };
+})();
+
+/* =====================================================================
+   0) El 32 — Page Mounts (Registry)
+   Purpose:
+   - Components that live INSIDE the page content register a mount:
+       el32Pages.mount((signal) => { ... }, { name: "menu", roots: "[data-menu]" })
+   - The mount runs now, and again after every client-side page swap
+     (see "Page Router" at the bottom of this file)
+   - Lazy init: when another script inserts markup matching a mount's
+     roots selector later on, that mount runs again for it
+   Notes:
+   - signal aborts right before the content is swapped out (or the
+     mount re-runs): pass it to EVERY listener ({ signal }), element
+     ones included, and el32Env subscriptions, and clear timers /
+     observers from an "abort" listener
+   - A re-run sees the whole page again, so old roots are set up anew
+     (an open menu closes); roots it has already seen never re-trigger
+   - Site-wide pieces (lightfield, language switch, service worker) stay
+     plain IIFEs: they never unmount
+   - A failing mount is reported (window "error", and to Telemetry under
+     its name) and skipped; the others still run
+   - El32.refresh() re-runs every mount by hand
+===================================================================== */
+const el32Pages = (() => {
+  "use strict";
+
+  const mounts = [];
+
+  // Roots each run already handled (new ones trigger a re-run)
+  const seen = new WeakSet();
+
+  const run = (mount) => {
+    mount.controller?.abort();
+    mount.controller = new AbortController();
+
+    try {
+      mount.fn(mount.controller.signal);
+    } catch (err) {
+      // Surfaces as a normal "error" event without stopping the loop
+      el32Telemetry.captureError(err, { component: mount.name });
+      window.reportError?.(err);
+    }
+
+    if (mount.roots) document.querySelectorAll(mount.roots).forEach((el) => seen.add(el));
+  };
+
+  const hasNewRoot = (node, roots) =>
+    (node.matches(roots) && !seen.has(node)) ||
+    Array.from(node.querySelectorAll(roots)).some((el) => !seen.has(el));
+
+  // Records arrive after a swap has finished (microtask), so a swapped-in
+  // page is already seen; only markup added by other scripts counts
+  const observer = new MutationObserver((records) => {
+    const due = new Set();
+
+    records.forEach((record) => {
+      record.addedNodes.forEach((node) => {
+        if (node.nodeType !== Node.ELEMENT_NODE || !node.isConnected) return;
+
+        mounts.forEach((mount) => {
+          if (mount.roots && !due.has(mount) && hasNewRoot(node, mount.roots)) due.add(mount);
+        });
+      });
+    });
+
+    due.forEach(run);
+  });
+
+  observer.observe(document.documentElement, { childList: true, subtree: true });
+
+  const refresh = () => mounts.forEach(run);
+
+  el32Api.expose("refresh", refresh);
+
+  return {
+    mount(fn, { name = "", roots = "" } = {}) {
+      const mount = { fn, name, roots, controller: null };
+      mounts.push(mount);
+      run(mount);
+    },
+
+    // Router only: old page's mounts clean up (while their DOM is still
+    // there), replaceContent() swaps the page, new page's mounts run
+    swap(replaceContent) {
+      mounts.forEach((mount) => mount.controller.abort());
+      replaceContent();
+      refresh();
+    },
+  };
+})();
+
+/* =====================================================================
+   1) El 32 — Ambient Light Field Driver (Frame-budget Governor)
+   Goals:
+   - Keep the SAME aesthetic (moving “club lights”)
+   - Pick the effect level from real frame times, not device guesses
+   - “Ultra” (SVG displacement + blend) only while the device keeps up
+
+   Output:
+   - Adds one class to <html>:
+       .fx-ultra  (turbulence + blend; earned by measured headroom)
+       .fx-cheap  (transform-only drift; the starting level)
+       .fx-off    (static lights; frames were over budget even cheap)
+   - Fires "el32:fx-change" on document ({ level, reason })
+   - Sets <html data-lf-theme> from the special-nights schedule and
+     fires "el32:theme-change" ({ theme, reason }); ?theme= previews
+   API (El32.fx):
+   - pause() / resume()  freeze the lights in place (e.g. during a promo
+                         video); fires "el32:fx-pause" ({ paused })
+   - paused, level, theme (read-only)
+===================================================================== */
+
+(() => {
+  "use strict";
+
+  /* =========================================================
+     FX Governor
+     - Starts cheap, measures every rAF interval while running
+     - Over budget → one step down right away
+     - Sustained headroom → one step up (retries back off)
+     - Caps: reduced motion / small screens / Save-Data / low battery
+     - ?fx=ultra|cheap|off forces a level (remembered; ?fx=auto clears)
+     - ?fx-debug=1 shows the numbers + decisions in a corner overlay
+  ========================================================== */
+  const root = document.documentElement;
+
+  const LEVELS = ["off", "cheap", "ultra"];
+  const STORAGE_KEY = "el32-fx";
+
+  const params = new URLSearchParams(window.location.search);
+
+  const { reducedMotion, mobile } = el32Env;
+
+  // Budget (per rAF interval; 60Hz ≈ 16.7ms, 120Hz ≈ 8.3ms)
+  const SAMPLE_WINDOW_MS = 2000;
+  const SETTLE_MS = 1000; // first second after (re)start is noisy
+  const LONG_FRAME_MS = 34; // missed even a 30fps beat
+  const OVER_LONG_RATIO = 0.2;
+  const OVER_AVG_MS = 28;
+  const HEADROOM_LONG_RATIO = 0.03;
+  const HEADROOM_AVG_MS = 20;
+  const HEADROOM_WINDOWS = 3; // ~6s of clean frames before stepping up
+  const RETRY_BASE_MS = 20000;
+  const RETRY_MAX_MS = 300000;
+  const LOW_BATTERY = 0.2;
+
+  const rank = (level) => LEVELS.indexOf(level);
+
+  const readForced = () => {
+    const fromQuery = params.get("fx");
+
+    try {
+      if (fromQuery === "auto") localStorage.removeItem(STORAGE_KEY);
+      else if (LEVELS.includes(fromQuery)) localStorage.setItem(STORAGE_KEY, fromQuery);
+
+      const stored = localStorage.getItem(STORAGE_KEY);
+      return LEVELS.includes(stored) ? stored : null;
+    } catch {
+      return LEVELS.includes(fromQuery) ? fromQuery : null;
+    }
+  };
+
+  const forced = readForced();
+
+  // Ceilings the governor may not climb past (name → max level)
+  const caps = new Map();
+  if (reducedMotion.value) caps.set("reduced-motion", "cheap");
+  if (mobile.value) caps.set("small-screen", "cheap"); // CSS keeps phones cheap anyway
+  if (navigator.connection?.saveData) caps.set("save-data", "cheap");
+
+  const ceiling = () =>
+    Array.from(caps.values()).reduce(
+      (max, level) => (rank(level) < rank(max) ? level : max),
+      "ultra"
+    );
+
+  let level = null;
+
+  // Per-level back-off after a failed stint (level → retry time / delay)
+  const retryAt = { cheap: 0, ultra: 0 };
+  const retryDelay = { cheap: RETRY_BASE_MS, ultra: RETRY_BASE_MS };
+
+  /* =========================================================
+     Debug overlay (?fx-debug=1)
+  ========================================================== */
+  const debug = params.get("fx-debug") === "1";
+  const debugLog = [];
+  let debugEl = null;
+  let lastStats = null;
+
+  const renderDebug = () => {
+    if (!debug || !document.body) return;
+
+    if (!debugEl) {
+      debugEl = document.createElement("pre");
+      debugEl.className = "fx-debug";
+      debugEl.setAttribute("aria-hidden", "true");
+      document.body.appendChild(debugEl);
+    }
+
+    const capText = caps.size
+      ? Array.from(caps, ([name, max]) => `${name}≤${max}`).join(", ")
+      : "none";
+
+    debugEl.textContent = [
+      `fx: ${level}${forced ? " (forced)" : ""}`,
+      `caps: ${capText}`,
+      lastStats
+        ? `avg ${lastStats.avg.toFixed(1)}ms · long ${(lastStats.longRatio * 100).toFixed(0)}% · ${lastStats.frames}f`
+        : "measuring…",
+      ...debugLog,
+    ].join("\n");
+  };
+
+  const setLevel = (next, reason) => {
+    if (next === level) return;
+    level = next;
+
+    LEVELS.forEach((l) => root.classList.toggle(`fx-${l}`, l === level));
+
+    debugLog.unshift(`${new Date().toLocaleTimeString()} → ${level} (${reason})`);
+    debugLog.length = Math.min(debugLog.length, 6);
+    renderDebug();
+
+    document.dispatchEvent(
+      new CustomEvent("el32:fx-change", { detail: { level, reason } })
+    );
+  };
+
+  setLevel(forced || (rank(ceiling()) < rank("cheap") ? ceiling() : "cheap"), forced ? "forced" : "start");
+
+  /* =========================================================
+     Ambient Driver
+     - Transform-only drift (cheap)
+     - Turbulence updates ONLY in ultra mode (expensive)
+     - Stops entirely at fx-off
+  ========================================================== */
+  const lightfield = document.querySelector(".lightfield");
+  const turbulence = document.getElementById("el32-turbulence");
+  if (!lightfield) return;
+
+  // Motion tuning (same “feel”, lower churn on cheap mode)
+  // Themes scale these; the base follows the live environment
+  const baseMotion = () => {
+    if (reducedMotion.value) return { ampX: 8, ampY: 6, rotation: 0.2, turbVariance: 0.2 };
+    if (mobile.value) return { ampX: 24, ampY: 16, rotation: 1, turbVariance: 1 };
+    return { ampX: 56, ampY: 40, rotation: 1, turbVariance: 1 };
+  };
+
+  // SVG turbulence tuning (expensive; ultra only)
+  const TURB_UPDATE_MS = 160; // ~6fps, keeps the effect but cheaper
+
+  // Drift frame throttle (~30fps to reduce main-thread churn)
+  const FRAME_MIN_MS = 33;
+
+  // Long gaps (tab switch, jank) must not fling the lights
+  const MAX_STEP_MS = 100;
+
+  /* =========================================================
+     Themes (special nights)
+     - A theme = light colours + motion (amp/speed) + turbulence
+     - colors map to the --lf-* variables: [r, g, b, alpha]
+     - motion.amp scales baseMotion(); motion.speed scales time
+     - "classic" mirrors the :root values in style.css
+  ========================================================== */
+  const THEMES = {
+    classic: {
+      colors: {
+        crimson: [222, 12, 28, 0.38],
+        violet: [212, 28, 139, 0.32],
+        yellow: [237, 203, 19, 0.22],
+        orange: [209, 80, 0, 0.26],
+      },
+      motion: { amp: 1, speed: 1 },
+      turbulence: { x: 0.012, y: 0.018, variance: 0.002 },
+    },
+    reggaeton: {
+      colors: {
+        crimson: [236, 10, 60, 0.42],
+        violet: [186, 22, 214, 0.38],
+        yellow: [237, 203, 19, 0.18],
+        orange: [230, 60, 20, 0.28],
+      },
+      motion: { amp: 1.2, speed: 1.35 },
+      turbulence: { x: 0.016, y: 0.022, variance: 0.0032 },
+    },
+    "cinco-de-mayo": {
+      colors: {
+        crimson: [206, 17, 38, 0.36],
+        violet: [0, 140, 70, 0.32],
+        yellow: [245, 240, 225, 0.16],
+        orange: [0, 104, 71, 0.26],
+      },
+      motion: { amp: 1.1, speed: 1.15 },
+      turbulence: { x: 0.014, y: 0.020, variance: 0.0024 },
+    },
+    "dia-de-muertos": {
+      colors: {
+        crimson: [212, 28, 139, 0.30],
+        violet: [120, 40, 170, 0.36],
+        yellow: [255, 176, 0, 0.26],
+        orange: [255, 120, 0, 0.32],
+      },
+      motion: { amp: 0.9, speed: 0.8 },
+      turbulence: { x: 0.010, y: 0.016, variance: 0.0016 },
+    },
+    navidad: {
+      colors: {
+        crimson: [200, 16, 32, 0.40],
+        violet: [20, 120, 60, 0.30],
+        yellow: [240, 196, 70, 0.24],
+        orange: [170, 30, 20, 0.24],
+      },
+      motion: { amp: 0.85, speed: 0.75 },
+      turbulence: { x: 0.010, y: 0.015, variance: 0.0014 },
+    },
+    "ano-nuevo": {
+      colors: {
+        crimson: [222, 12, 28, 0.30],
+        violet: [150, 60, 220, 0.34],
+        yellow: [250, 215, 90, 0.30],
+        orange: [255, 250, 235, 0.14],
+      },
+      motion: { amp: 1.25, speed: 1.4 },
+      turbulence: { x: 0.015, y: 0.021, variance: 0.003 },
+    },
+  };
+
+  const COLOR_KEYS = ["crimson", "violet", "yellow", "orange"];
+
+  /* =========================================================
+     Schedule (bar time, America/New_York)
+     - A "night" runs until ROLLOVER_HOUR, so 1am Saturday is
+       still Friday night (matches the hours list)
+     - DATES win over WEEKLY:
+         on/through "MM-DD"      → every year
+         on/through "YYYY-MM-DD" → one-off night
+     - ?theme=<name> previews a theme (schedule ignored)
+  ========================================================== */
+  const TIME_ZONE = "America/New_York";
+  const ROLLOVER_HOUR = 6;
+  const THEME_CHECK_MS = 5 * 60 * 1000;
+  const THEME_FADE_MS = 2400;
+
+  const DATES = [
+    { on: "05-05", theme: "cinco-de-mayo" },
+    { on: "11-01", through: "11-02", theme: "dia-de-muertos" },
+    { on: "12-24", through: "12-25", theme: "navidad" },
+    { on: "12-31", theme: "ano-nuevo" },
+  ];
+
+  const WEEKLY = {
+    Friday: "reggaeton",
+  };
+
+  const barDate = new Intl.DateTimeFormat("en-US", {
+    timeZone: TIME_ZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    weekday: "long",
+  });
+
+  const nightOf = (now) => {
+    const shifted = new Date(now - ROLLOVER_HOUR * 60 * 60 * 1000);
+    const parts = Object.fromEntries(
+      barDate.formatToParts(shifted).map((p) => [p.type, p.value])
+    );
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      weekday: parts.weekday,
+    };
+  };
+
+  const scheduledTheme = (now = Date.now()) => {
+    const { date, weekday } = nightOf(now);
+
+    const hit = DATES.find((rule) => {
+      const key = rule.on.length === 5 ? date.slice(5) : date;
+      return key >= rule.on && key <= (rule.through ?? rule.on);
+    });
+
+    return hit?.theme ?? WEEKLY[weekday] ?? "classic";
+  };
+
+  const previewTheme = Object.hasOwn(THEMES, params.get("theme") ?? "")
+    ? params.get("theme")
+    : null;
+
+  // Flat numeric form so a crossfade is one lerp over every value
+  // (theme × environment, so a Reduce Motion toggle glides too)
+  const toVector = (theme) => {
+    const base = baseMotion();
+
+    return [
+      ...COLOR_KEYS.flatMap((key) => theme.colors[key]),
+      base.ampX * theme.motion.amp,
+      base.ampY * theme.motion.amp,
+      base.rotation,
+      reducedMotion.value ? Math.min(theme.motion.speed, 1) : theme.motion.speed,
+      theme.turbulence.x,
+      theme.turbulence.y,
+      theme.turbulence.variance * base.turbVariance,
+    ];
+  };
+
+  const V_AMP_X = COLOR_KEYS.length * 4;
+  const V_AMP_Y = V_AMP_X + 1;
+  const V_ROTATION = V_AMP_X + 2;
+  const V_SPEED = V_AMP_X + 3;
+  const V_TURB_X = V_AMP_X + 4;
+  const V_TURB_Y = V_AMP_X + 5;
+  const V_TURB_VAR = V_AMP_X + 6;
+
+  let themeName = "";
+  let live = toVector(THEMES.classic);
+  let fadeFrom = live;
+  let fadeTo = live;
+  let fadeStart = 0;
+
+  const lastColors = {};
+
+  const writeColors = () => {
+    COLOR_KEYS.forEach((key, i) => {
+      const [r, g, b, a] = live.slice(i * 4, i * 4 + 4);
+      const value = `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${a.toFixed(3)})`;
+      if (value === lastColors[key]) return;
+
+      lightfield.style.setProperty(`--lf-${key}`, value);
+      lastColors[key] = value;
+    });
+  };
+
+  // Smoothstep between the values on screen and the new theme
+  const stepFade = (time) => {
+    const p = Math.min(1, Math.max(0, (time - fadeStart) / THEME_FADE_MS));
+    const e = p * p * (3 - 2 * p);
+
+    live = fadeFrom.map((from, i) => from + (fadeTo[i] - from) * e);
+    writeColors();
+
+    if (p >= 1) fadeStart = 0;
+  };
+
+  let rafId = null;
+  let lastFrame = 0;
+  let lastTurb = 0;
+  let phase = 0; // theme-speed-scaled seconds
+
+  // Frame-time sampling (every rAF callback, throttled or not)
+  let prevTime = 0;
+  let startedAt = 0;
+  let windowStart = 0;
+  let frames = 0;
+  let longFrames = 0;
+  let totalMs = 0;
+  let headroomStreak = 0;
+
+  // Cache last-written values to avoid redundant style recalcs
+  let lastX = NaN;
+  let lastY = NaN;
+  let lastR = NaN;
+
+  const nearlyEqual = (a, b, eps) => Math.abs(a - b) <= eps;
+
+  const resetSamples = (time) => {
+    windowStart = time;
+    frames = 0;
+    longFrames = 0;
+    totalMs = 0;
+  };
+
+  const stepDown = (reason) => {
+    const failed = level;
+    const next = LEVELS[rank(level) - 1];
+    if (!next) return;
+
+    // Each failure at a level doubles the wait before trying it again
+    retryAt[failed] = performance.now() + retryDelay[failed];
+    retryDelay[failed] = Math.min(RETRY_MAX_MS, retryDelay[failed] * 2);
+
+    headroomStreak = 0;
+    setLevel(next, reason);
+  };
+
+  const tryStepUp = (now) => {
+    const next = LEVELS[rank(level) + 1];
+    if (!next || rank(next) > rank(ceiling()) || now < retryAt[next]) return;
+
+    headroomStreak = 0;
+    setLevel(next, "headroom");
+  };
+
+  // One verdict per sample window
+  const judge = (now) => {
+    if (frames < 10) return;
+
+    const avg = totalMs / frames;
+    const longRatio = longFrames / frames;
+    lastStats = { avg, longRatio, frames };
+
+    if (!forced) {
+      if (rank(level) > rank(ceiling())) {
+        setLevel(ceiling(), "cap");
+      } else if (avg > OVER_AVG_MS || longRatio > OVER_LONG_RATIO) {
+        stepDown(`over budget: avg ${avg.toFixed(0)}ms`);
+      } else if (avg < HEADROOM_AVG_MS && longRatio < HEADROOM_LONG_RATIO) {
+        headroomStreak += 1;
+        if (headroomStreak >= HEADROOM_WINDOWS) tryStepUp(now);
+      } else {
+        headroomStreak = 0;
+      }
+    }
+
+    renderDebug();
+  };
+
+  const sample = (time) => {
+    if (prevTime && time - startedAt > SETTLE_MS) {
+      const delta = time - prevTime;
+      frames += 1;
+      totalMs += delta;
+      if (delta > LONG_FRAME_MS) longFrames += 1;
+    }
+    prevTime = time;
+
+    if (!windowStart) resetSamples(time);
+    if (time - windowStart >= SAMPLE_WINDOW_MS) {
+      judge(performance.now());
+      resetSamples(time);
+    }
+  };
+
+  const tick = (time) => {
+    sample(time);
+
+    // Governor (or a cap) just switched the lights off
+    if (level === "off") {
+      if (fadeStart) stepFade(fadeStart + THEME_FADE_MS);
+      rafId = null;
+      return;
+    }
+
+    if (time - lastFrame < FRAME_MIN_MS) {
+      rafId = requestAnimationFrame(tick);
+      return;
+    }
+
+    // Advance by elapsed time × theme speed (no jump when speed fades)
+    if (lastFrame) phase += Math.min(time - lastFrame, MAX_STEP_MS) * 0.001 * live[V_SPEED];
+    lastFrame = time;
+
+    if (fadeStart) stepFade(time);
+
+    const t = phase;
+    const ampX = live[V_AMP_X];
+    const ampY = live[V_AMP_Y];
+
+    // Closed-loop travel + organic oscillation (keeps your same vibe)
+    const travelX = Math.sin(t * 0.10) * (ampX * 0.55);
+    const travelY = Math.cos(t * 0.09) * (ampY * 0.55);
+
+    const x =
+      travelX +
+      Math.sin(t * 0.35) * ampX +
+      Math.sin(t * 0.18) * (ampX * 0.55);
+
+    const y =
+      travelY +
+      Math.cos(t * 0.30) * ampY +
+      Math.sin(t * 0.22) * (ampY * 0.65);
+
+    const rotation = Math.sin(t * 0.12) * live[V_ROTATION];
+
+    // Only write CSS vars when value meaningfully changes
+    if (!nearlyEqual(x, lastX, 0.06)) {
+      lightfield.style.setProperty("--lf-x", `${x}px`);
+      lastX = x;
+    }
+
+    if (!nearlyEqual(y, lastY, 0.06)) {
+      lightfield.style.setProperty("--lf-y", `${y}px`);
+      lastY = y;
+    }
+
+    if (!nearlyEqual(rotation, lastR, 0.012)) {
+      lightfield.style.setProperty("--lf-r", `${rotation}deg`);
+      lastR = rotation;
+    }
+
+    // Ultra-only: turbulence updates (slow)
+    if (level === "ultra" && turbulence && time - lastTurb > TURB_UPDATE_MS) {
+      lastTurb = time;
+
+      const freqX = live[V_TURB_X] + Math.sin(t * 0.22) * live[V_TURB_VAR];
+      const freqY = live[V_TURB_Y] + Math.cos(t * 0.19) * live[V_TURB_VAR];
+
+      turbulence.setAttribute("baseFrequency", `${freqX} ${freqY}`);
+    }
+
+    rafId = requestAnimationFrame(tick);
+  };
+
+  // Set through El32.fx.pause(); outlasts tab switches and page swaps
+  let paused = false;
+
+  const stop = () => {
+    if (!rafId) return;
+    cancelAnimationFrame(rafId);
+    rafId = null;
+  };
+
+  const start = () => {
+    if (rafId || paused || level === "off") return;
+    lastFrame = 0;
+    lastTurb = 0;
+
+    // Fresh samples: background time must not count as jank
+    prevTime = 0;
+    windowStart = 0;
+    startedAt = performance.now();
+
+    rafId = requestAnimationFrame(tick);
+  };
+
+  /* =========================================================
+     Theme switching
+     - Crossfades from whatever is on screen (even mid-fade)
+     - Snaps when the driver is stopped (fx-off / hidden tab)
+     - <html data-lf-theme="…"> + "el32:theme-change" for hooks
+  ========================================================== */
+  const fadeToTheme = ({ snap = false } = {}) => {
+    fadeFrom = live;
+    fadeTo = toVector(THEMES[themeName]);
+
+    if (snap || !rafId) {
+      live = fadeTo;
+      fadeStart = 0;
+      writeColors();
+    } else {
+      fadeStart = performance.now();
+    }
+  };
+
+  const setTheme = (name, reason) => {
+    if (name === themeName) return;
+
+    const first = !themeName;
+    themeName = name;
+    root.dataset.lfTheme = name;
+
+    fadeToTheme({ snap: first });
+
+    document.dispatchEvent(
+      new CustomEvent("el32:theme-change", { detail: { theme: name, reason } })
+    );
+  };
+
+  // Re-check now and then: a page left open can cross into a themed night
+  const checkSchedule = () => {
+    setTheme(previewTheme ?? scheduledTheme(), previewTheme ? "preview" : "schedule");
+    if (!previewTheme) window.setTimeout(checkSchedule, THEME_CHECK_MS);
+  };
+
+  checkSchedule();
+
+  // Off is not forever: after its back-off, give cheap another stint
+  let offRetryTimer = 0;
+
+  document.addEventListener("el32:fx-change", () => {
+    window.clearTimeout(offRetryTimer);
+
+    if (level !== "off") {
+      start();
+      return;
+    }
+    if (forced || rank(ceiling()) < rank("cheap")) return;
+
+    offRetryTimer = window.setTimeout(() => {
+      if (level === "off" && !document.hidden) setLevel("cheap", "retry");
+    }, Math.max(0, retryAt.cheap - performance.now()));
+  });
+
+  /* =========================================================
+     Battery: discharging + low charge caps at cheap
+     (no standard battery-saver flag; this is the closest signal)
+  ========================================================== */
+  const applyCap = (name, max) => {
+    if (max) caps.set(name, max);
+    else caps.delete(name);
+
+    if (!forced && rank(level) > rank(ceiling())) setLevel(ceiling(), name);
+    renderDebug();
+  };
+
+  navigator.getBattery?.()
+    .then((battery) => {
+      const check = () =>
+        applyCap(
+          "low-battery",
+          !battery.charging && battery.level <= LOW_BATTERY ? "cheap" : null
+        );
+
+      check();
+      battery.addEventListener("chargingchange", check);
+      battery.addEventListener("levelchange", check);
+    })
+    .catch(() => {});
+
+  navigator.connection?.addEventListener?.("change", () => {
+    applyCap("save-data", navigator.connection.saveData ? "cheap" : null);
+  });
+
+  // Live environment: re-cap the governor and glide to the new motion
+  reducedMotion.subscribe((reduce) => {
+    applyCap("reduced-motion", reduce ? "cheap" : null);
+    fadeToTheme();
+  });
+
+  mobile.subscribe((small) => {
+    applyCap("small-screen", small ? "cheap" : null);
+    fadeToTheme();
+  });
+
+  // Start
+  start();
+  if (document.body) renderDebug();
+  else document.addEventListener("DOMContentLoaded", renderDebug, { once: true });
+
+  // Pause/resume when tab visibility changes
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) stop();
+    else start();
+  });
+
+  // Page lifecycle safety
+  window.addEventListener("pagehide", stop, { passive: true });
+  window.addEventListener("pageshow", start, { passive: true });
+
+  /* =========================================================
+     API (El32.fx)
+  ========================================================== */
+  const setPaused = (next) => {
+    if (next === paused) return;
+    paused = next;
+
+    if (paused) stop();
+    else if (!document.hidden) start();
+
+    document.dispatchEvent(
+      new CustomEvent("el32:fx-pause", { detail: { paused } })
+    );
+  };
+
+  el32Api.expose("fx", {
+    pause: () => setPaused(true),
+    resume: () => setPaused(false),
+    get paused() {
+      return paused;
+    },
+    get level() {
+      return level;
+    },
+    get theme() {
+      return themeName;
+    },
+  });
+})();
+
+/* =====================================================================
+   2) El 32 — Menu Toggle Controller (Phase 2, Refined)
+   Purpose:
+   - Non-boxy nav reveal under logo (landing + every inner page)
+   - Accessibility: aria-expanded, Escape to close, click-outside
+   - Keyboard: ArrowUp/ArrowDown/Home/End move between links,
+     Tab wraps between the toggle and the links while open
+   - Current page link gets aria-current="page"
+   - Touch: a sideways swipe across the open panel closes it
+   Notes:
+   - Uses data-open + CSS transitions
+   - IMPORTANT: Your HTML uses `hidden` on the panel.
+     To keep your animation smooth, we:
+       - Remove hidden immediately on open
+       - Re-add hidden after the close transition finishes
+   - One controller per [data-menu]; the html.menu-open perf class
+     stays on while ANY menu is open
+   - Open menu holds a scroll lock (see 0); a panel taller than the
+     screen scrolls inside itself (--menu-panel-top caps its height)
+   - Page mount: re-runs for every page the router swaps in
+   Events + API:
+   - "el32:menu-toggle" ({ open }) bubbles from the [data-menu]
+   - El32.menu: open(i = 0), close() (every menu), toggle(i = 0),
+     isOpen (read-only)
+   - Analytics: menu-open / menu-close
+===================================================================== */
+
+el32Pages.mount((signal) => {
+  "use strict";
+
+  const menus = Array.from(document.querySelectorAll("[data-menu]"));
+  if (menus.length === 0) return;
+
+  // Match your CSS close timing:
+  // .menu__panel transition: max-height 520ms ...
+  const HIDE_AFTER_CLOSE_MS = 460;
+
+  // Sideways swipe to close (vertical stays with page scroll)
+  const SWIPE_CLOSE_PX = 64;
+  const SWIPE_RATIO = 1.5;
+
+  /* =========================================================
+   Performance mode:
+   - When menu is open, reduce expensive FX paints (Safari)
+========================================================= */
+  const openMenus = new Set();
+
+  // A page swapped out mid-open must not leave the perf mode on
+  signal.addEventListener("abort", () => {
+    document.documentElement.classList.remove("menu-open");
+  });
+
+  const setPerfMode = (menu, on) => {
+    if (on) openMenus.add(menu);
+    else openMenus.delete(menu);
+    document.documentElement.classList.toggle("menu-open", openMenus.size > 0);
+  };
+
+  const currentPage = el32Site.pageKey();
+
+  const initMenu = (root) => {
+    const toggle = root.querySelector("[data-menu-toggle]");
+    const panel = root.querySelector("[data-menu-panel]");
+    if (!toggle || !panel) return;
+
+    const links = Array.from(panel.querySelectorAll(".menu__link[href]"));
+
+    let isOpen = false;
+    let hideTimer = null;
+    let releaseScroll = null;
+
+    links.forEach((a) => {
+      if (el32Site.pageKey(new URL(a.href, window.location.href)) === currentPage) {
+        a.setAttribute("aria-current", "page");
+      }
+    });
+
+    const setState = (open) => {
+      isOpen = open;
+      root.dataset.open = open ? "true" : "false";
+      toggle.setAttribute("aria-expanded", open ? "true" : "false");
+      panel.setAttribute("aria-hidden", open ? "false" : "true");
+    };
+
+    const announce = () => {
+      root.dispatchEvent(
+        new CustomEvent("el32:menu-toggle", { bubbles: true, detail: { open: isOpen } })
+      );
+    };
+
+    // Initialize closed
+    setState(false);
+    panel.hidden = true;
+
+    const openMenu = () => {
+      if (isOpen) return;
+
+      setPerfMode(root, true);
+
+      // Ensure panel can animate (removes UA display:none from [hidden])
+      panel.hidden = false;
+
+      // Page holds still; the panel may use the rest of the screen
+      releaseScroll = el32ScrollLock.lock({ allow: "[data-menu-panel]", signal });
+      panel.style.setProperty(
+        "--menu-panel-top",
+        `${Math.max(0, panel.getBoundingClientRect().top)}px`
+      );
+
+      // Cancel any pending hide from a recent close
+      if (hideTimer) {
+        clearTimeout(hideTimer);
+        hideTimer = null;
+      }
+
+      setState(true);
+      announce();
+      el32Analytics.track("menu-open");
+
+      // Focus the current page (else the first link) for keyboard users
+      const firstLink =
+        panel.querySelector('a[aria-current="page"]') || panel.querySelector("a[href]");
+      firstLink?.focus?.({ preventScroll: true });
+    };
+
+    const closeMenu = () => {
+      if (!isOpen) return;
+
+      setState(false);
+      announce();
+      el32Analytics.track("menu-close");
+
+      setPerfMode(root, false);
+
+      releaseScroll?.();
+      releaseScroll = null;
+
+      // Re-apply hidden after the close animation completes
+      hideTimer = window.setTimeout(() => {
+        if (!isOpen) panel.hidden = true;
+      }, HIDE_AFTER_CLOSE_MS);
+
+      toggle.focus?.({ preventScroll: true });
+    };
+
+    const toggleMenu = () => (isOpen ? closeMenu() : openMenu());
+
+    toggle.addEventListener("click", toggleMenu, { passive: true, signal });
+
+    // --- keyboard ------------------------------------------------------
+
+    const focusLink = (i) => {
+      const count = links.length;
+      if (count === 0) return;
+      links[((i % count) + count) % count].focus({ preventScroll: true });
+    };
+
+    // Arrow keys roam the links (wrapping), Home/End jump to the ends
+    panel.addEventListener("keydown", (e) => {
+      const i = links.indexOf(document.activeElement);
+      if (i === -1) return;
+
+      if (e.key === "ArrowDown" || e.key === "ArrowRight") focusLink(i + 1);
+      else if (e.key === "ArrowUp" || e.key === "ArrowLeft") focusLink(i - 1);
+      else if (e.key === "Home") focusLink(0);
+      else if (e.key === "End") focusLink(links.length - 1);
+      else return;
+
+      e.preventDefault();
+    }, { signal });
+
+    // Tab cycles toggle → links → toggle while the panel is open
+    root.addEventListener("keydown", (e) => {
+      if (!isOpen || e.key !== "Tab" || links.length === 0) return;
+
+      const first = toggle;
+      const last = links[links.length - 1];
+
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus({ preventScroll: true });
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus({ preventScroll: true });
+      }
+    }, { signal });
+
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") closeMenu();
+    }, { signal });
+
+    document.addEventListener("pointerdown", (e) => {
+      if (!isOpen) return;
+      if (!root.contains(e.target)) closeMenu();
+    }, { signal });
+
+    // --- swipe to close (touch) ---------------------------------------
+
+    let swipeStart = null;
+    let swiped = false;
+
+    panel.addEventListener("pointerdown", (e) => {
+      swiped = false;
+      swipeStart = isOpen && e.pointerType === "touch"
+        ? { id: e.pointerId, x: e.clientX, y: e.clientY }
+        : null;
+    }, { signal });
+
+    panel.addEventListener("pointermove", (e) => {
+      if (!swipeStart || e.pointerId !== swipeStart.id) return;
+
+      const dx = e.clientX - swipeStart.x;
+      const dy = e.clientY - swipeStart.y;
+
+      if (Math.abs(dx) > SWIPE_CLOSE_PX && Math.abs(dx) > Math.abs(dy) * SWIPE_RATIO) {
+        swipeStart = null;
+        swiped = true;
+        closeMenu();
+      }
+    }, { signal });
+
+    const endSwipe = () => {
+      swipeStart = null;
+    };
+
+    panel.addEventListener("pointerup", endSwipe, { signal });
+    panel.addEventListener("pointercancel", endSwipe, { signal });
+
+    panel.addEventListener("click", (e) => {
+      const a = e.target.closest?.("a[href]");
+      if (!a) return;
+
+      // The finger that swiped the panel shut must not follow a link
+      if (swiped) {
+        e.preventDefault();
+        swiped = false;
+        return;
+      }
+
+      closeMenu();
+    }, { signal });
+
+    return {
+      open: openMenu,
+      close: closeMenu,
+      toggle: toggleMenu,
+      isOpen: () => isOpen,
+    };
+  };
+
+  const controls = menus.map(initMenu).filter(Boolean);
+
+  el32Api.expose("menu", {
+    open: (i = 0) => controls[i]?.open(),
+    close: () => controls.forEach((c) => c.close()),
+    toggle: (i = 0) => controls[i]?.toggle(),
+    get isOpen() {
+      return controls.some((c) => c.isOpen());
+    },
+  }, { signal });
+}, { name: "menu", roots: "[data-menu]" });
+
+/* =====================================================================
+   El 32 — Logo Flicker Replay (No layout changes)
+===================================================================== */
+el32Pages.mount((signal) => {
+  "use strict";
+
+  const logo = document.querySelector("[data-logo]");
+  if (!logo) return;
+
+  const replay = () => {
+    // Checked per press: Reduce Motion can be toggled after load
+    if (el32Env.reducedMotion.value) return;
+
+    // Reset animation
+    logo.style.animation = "none";
+
+    // Force reflow so the reset is applied
+    // eslint-disable-next-line no-unused-expressions
+    logo.offsetHeight;
+
+    // Replay exactly the same animation as CSS
+    logo.style.animation =
+      "el32-voltage-flicker 2200ms cubic-bezier(0.22, 1, 0.36, 1) forwards";
+  };
+
+  logo.addEventListener("click", replay, { signal });
+
+  // Keyboard support (Enter/Space)
+  logo.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      replay();
+    }
+  }, { signal });
+}, { name: "logo", roots: "[data-logo]" });
+
+/* =====================================================================
+   3) El 32 — Site Language (ES/EN)
+   Purpose:
+   - One global language for every page ([data-i18n] strings)
+   - Updates <html lang> and remembers the choice across pages
+   - First visit: ?lang=es|en, then navigator.language
+   - Tagline + About lead keep tap-to-translate as local overrides
+   Markup:
+   - data-i18n="key"                      → textContent
+   - data-i18n-attr="aria-label:key;…"    → attributes
+   Notes:
+   - Pages are authored in English; a key missing from a dictionary
+     falls back to the element's original text
+   - Broadcasts "el32:lang-change" ({ detail: { lang } }) on document
+   - Local toggles are a page mount: a page the router swaps in is
+     translated into the current language right away
+   - Analytics: lang-toggle ({ target, lang }) for the local toggles,
+     lang-switch ({ lang }) for the header switch
+   API (El32.lang):
+   - set("en" | "es") switches + remembers (false if unsupported),
+     toggle(), current (read-only)
+===================================================================== */
+
+(() => {
+  "use strict";
+
+  const STORAGE_KEY = "el32-lang";
+  const LANGS = ["en", "es"];
+
+  const STRINGS = {
+    en: {
+      "contact.message": "What’s up?",
+    },
+
+    es: {
+      "title.about": "Nosotros — El 32",
+      "title.menu": "Menú — El 32",
+      "title.events": "Eventos — El 32",
+      "title.party": "Fiesta — El 32",
+      "title.contact": "Contacto — El 32",
+
+      "common.home": "Volver al inicio",
+      "common.home-hint": "Toca el logo para volver al inicio",
+      "common.footer": "El 32 Bar Latino | Todos los derechos reservados",
+      "common.instagram": "Síguenos en Instagram",
+
+      "landing.heading": "El 32 — Bar latino en el centro de Lynchburg, VA",
+      "landing.summary":
+        "Visita El 32 en 1118 Main St, en el centro de Lynchburg, Virginia. Tragos hasta tarde, música y ambiente latino. Consulta el horario, el menú, los eventos, las fotos y el contacto.",
+      "landing.tagline-toggle": "Traducir el lema",
+
+      "nav.discover": "Descubre",
+      "nav.label": "Navegación principal",
+      "nav.about": "Nosotros",
+      "nav.menu": "Menú",
+      "nav.events": "Eventos",
+      "nav.party": "Fiesta",
+      "nav.contact": "Contacto",
+
+      "about.lead-toggle": "Traducir la presentación",
+      "about.maps-icon":
+        "Abrir ubicación en mapas: 1118 Main St, Lynchburg, VA 24504",
+      "about.maps-title": "Abrir en Mapas",
+      "about.maps-label": "Cómo llegar a 1118 Main St, Lynchburg, VA 24504",
+      "about.instagram-icon": "Abrir Instagram: @el32.lyh",
+      "about.instagram-label": "Síguenos en Instagram: @el32.lyh",
+      "about.hours": "Horario",
+      "about.hours-label": "Horario del establecimiento",
+
+      "day.sunday": "Domingo",
+      "day.monday": "Lunes",
+      "day.tuesday": "Martes",
+      "day.wednesday": "Miércoles",
+      "day.thursday": "Jueves",
+      "day.friday": "Viernes",
+      "day.saturday": "Sábado",
+
+      "menu.title": "Menú",
+      "menu.pdf": "Toca para ver el menú completo",
+      "menu.photo": "Velo como foto",
+      "menu.photo-caption": "Menú completo de El 32",
+      "menu.search-label": "Busca en el menú",
+      "menu.search": "Busca en el menú",
+      "menu.filters": "Filtrar el menú",
+      "menu.no-results": "Nada coincide con esa búsqueda.",
+      "menu.bacon-cheese-fries":
+        "Papas doradas y crujientes con queso derretido y tocino ahumado: el toque salado perfecto para un trago de noche.",
+      "menu.classic-cheeseburger":
+        "Carne jugosa a la plancha con queso derretido en pan tostado: sencilla, intensa y bien hecha. Servida con papas fritas.",
+      "menu.mango-habanero-wings":
+        "Mango dulce al inicio y el picor del habanero al final: pegajosas, brillantes y adictivas. Servidas con papas fritas, ranch, zanahoria y apio.",
+
+      "events.title": "Próximos eventos",
+      "events.coming-soon": "Próximamente",
+
+      "party.title": "Vive El 32",
+      "party.gallery": "Galería de fotos",
+      "party.close": "Cerrar",
+      "party.prev": "Foto anterior",
+      "party.next": "Foto siguiente",
+      "party.share": "Compartir foto",
+      "party.photo-1": "Botellas en la contrabarra frente al letrero de El 32",
+      "party.photo-2": "Contrabarra de madera llena de botellas bajo luz cálida",
+      "party.photo-3": "El 32 pintado en letra blanca sobre la pared roja, bajo banderas",
+      "party.photo-4": "Lámparas y luces de fiesta que llenan de color el pasillo rojo",
+      "party.photo-5": "Fila de banderas latinoamericanas en la pared roja bajo luces LED",
+      "party.photo-6": "Barra de madera y fila de taburetes en el salón principal",
+      "party.albums": "Álbumes de fotos",
+      "party.more": "Cargar más fotos",
+
+      "booking.title": "Reserva una fiesta o mesa",
+      "booking.sent": "Solicitud enviada. Te confirmaremos por correo pronto.",
+      "booking.intro":
+        "Cumpleaños, servicio de botella o una noche con el grupo — cuéntanos el plan y te respondemos.",
+      "booking.step-when": "Cuándo",
+      "booking.date": "Fecha",
+      "booking.time": "Hora de llegada",
+      "booking.hours": "Abrimos de miércoles a sábado, 8pm–2am.",
+      "booking.step-group": "Tu grupo",
+      "booking.guests": "Personas",
+      "booking.occasion": "Ocasión",
+      "booking.occasion-pick": "Elige una",
+      "booking.occasion-birthday": "Cumpleaños",
+      "booking.occasion-bachelor": "Despedida de soltero / soltera",
+      "booking.occasion-anniversary": "Aniversario",
+      "booking.occasion-graduation": "Graduación",
+      "booking.occasion-work": "Salida del trabajo",
+      "booking.occasion-night-out": "Solo una noche de fiesta",
+      "booking.step-package": "Paquete",
+      "booking.package": "Paquete",
+      "booking.package-table": "Mesa reservada",
+      "booking.package-table-desc":
+        "Una mesa apartada para tu grupo. Sin mínimo — pides en la barra.",
+      "booking.package-bottle": "Servicio de botella",
+      "booking.package-bottle-desc":
+        "Mesa y botellas con mezcladores, servidas a tu mesa. $180 por botella.",
+      "booking.package-vip": "Sección VIP",
+      "booking.package-vip-desc":
+        "Área privada con anfitrión toda la noche. $400 más $15 por persona.",
+      "booking.bottles": "Botellas",
+      "booking.step-contact": "Contacto",
+      "booking.phone": "Teléfono (opcional)",
+      "booking.notes": "¿Algo más? (opcional)",
+      "booking.step-review": "Revisar",
+      "booking.back": "Atrás",
+      "booking.next": "Siguiente",
+      "booking.send": "Enviar solicitud",
+
+      "contact.title": "Contacto",
+      "contact.sent": "Mensaje enviado. Te responderemos pronto.",
+      "contact.intro":
+        "Preguntas, reservaciones o eventos: envíanos un mensaje.",
+      "contact.name": "Nombre",
+      "contact.email": "Correo",
+      "contact.message": "¿Qué pasa?",
+      "contact.send": "Enviar mensaje",
+      "contact.links": "Enlaces de contacto",
+      "contact.email-link": "Escríbenos a inquiries@el-32.com",
+      "contact.call": "Llama a El 32 @ 434 209 5900",
+    },
+  };
+
+  const root = document.documentElement;
+
+  let current = null;
+
+  // --- preference ------------------------------------------------------
+
+  const normalize = (value) => {
+    const lang = String(value || "").slice(0, 2).toLowerCase();
+    return LANGS.includes(lang) ? lang : null;
+  };
+
+  const readStored = () => {
+    try {
+      return localStorage.getItem(STORAGE_KEY);
+    } catch {
+      return null;
+    }
+  };
+
+  const store = (lang) => {
+    try {
+      localStorage.setItem(STORAGE_KEY, lang);
+    } catch {
+      // Private mode / storage disabled: choice lasts for this page only
+    }
+  };
+
+  // --- [data-i18n] strings ---------------------------------------------
+
+  // Authored values, captured before the first swap
+  const originals = new WeakMap();
+
+  const remember = (el, slot, value) => {
+    let saved = originals.get(el);
+    if (!saved) {
+      saved = {};
+      originals.set(el, saved);
+    }
+    if (!(slot in saved)) saved[slot] = value;
+    return saved[slot];
+  };
+
+  const lookup = (lang, key, fallback) => STRINGS[lang]?.[key] ?? fallback;
+
+  const translateText = (el, lang) => {
+    const original = remember(el, "text", el.textContent);
+    const next = lookup(lang, el.dataset.i18n, original);
+    if (el.textContent !== next) el.textContent = next;
+  };
+
+  const translateAttrs = (el, lang) => {
+    el.dataset.i18nAttr.split(";").forEach((pair) => {
+      const [attr, key] = pair.split(":").map((part) => part.trim());
+      if (!attr || !key) return;
+
+      const original = remember(el, `@${attr}`, el.getAttribute(attr));
+      const next = lookup(lang, key, original);
+
+      if (next === null) el.removeAttribute(attr);
+      else if (el.getAttribute(attr) !== next) el.setAttribute(attr, next);
+    });
+  };
+
+  // --- local toggles (tagline + about lead) ----------------------------
+
+  let toggles = [];
+
+  const setLocal = (t, lang) => {
+    const isEnglish = lang === "en";
+
+    t.btn.dataset.lang = lang;
+
+    // "Pressed" = showing the translation of the authored line
+    t.btn.setAttribute("aria-pressed", lang !== t.authored ? "true" : "false");
+
+    t.es.hidden = isEnglish;
+    t.en.hidden = !isEnglish;
+  };
+
+  // Registered before the first apply(), so it only binds on load;
+  // after a page swap (or late [data-i18n] markup) it also translates
+  // the new content
+  el32Pages.mount((signal) => {
+    toggles = Array.from(
+      document.querySelectorAll("[data-tagline], [data-about-lead]")
+    )
+      .map((btn) => ({
+        btn,
+        es: btn.querySelector("[data-es]"),
+        en: btn.querySelector("[data-en]"),
+        // Captured once: a re-run sees the toggled data-lang
+        authored: remember(btn, "lang", btn.dataset.lang || "en"),
+      }))
+      .filter((t) => t.es && t.en);
+
+    toggles.forEach((t) => {
+      t.es.lang = "es";
+      t.en.lang = "en";
+
+      t.btn.addEventListener("click", () => {
+        const lang = t.btn.dataset.lang === "es" ? "en" : "es";
+        setLocal(t, lang);
+        el32Analytics.track("lang-toggle", {
+          target: "tagline" in t.btn.dataset ? "tagline" : "about-lead",
+          lang,
+        });
+      }, { signal });
+    });
+
+    if (current) apply(current);
+  }, { name: "lang", roots: "[data-tagline], [data-about-lead], [data-i18n], [data-i18n-attr]" });
+
+  // --- global switch ---------------------------------------------------
+
+  const switches = Array.from(document.querySelectorAll("[data-lang-switch]"));
+
+  const renderSwitches = (lang) => {
+    switches.forEach((btn) => {
+      btn.querySelectorAll("[data-lang-opt]").forEach((opt) => {
+        opt.classList.toggle("is-active", opt.dataset.langOpt === lang);
+      });
+
+      // Label is written in the language it switches to
+      btn.setAttribute(
+        "aria-label",
+        lang === "es" ? "Switch to English" : "Cambiar a español"
+      );
+      btn.lang = lang === "es" ? "en" : "es";
+    });
+  };
+
+  // --- apply -----------------------------------------------------------
+
+  const apply = (lang) => {
+    if (!LANGS.includes(lang)) return;
+
+    const changed = lang !== current;
+    current = lang;
+
+    root.lang = lang;
+
+    document
+      .querySelectorAll("[data-i18n]")
+      .forEach((el) => translateText(el, lang));
+    document
+      .querySelectorAll("[data-i18n-attr]")
+      .forEach((el) => translateAttrs(el, lang));
+
+    // A global change resets any local override
+    toggles.forEach((t) => setLocal(t, lang));
+    renderSwitches(lang);
+
+    if (changed) {
+      document.dispatchEvent(
+        new CustomEvent("el32:lang-change", { detail: { lang } })
+      );
+    }
+  };
+
+  const fromQuery = normalize(
+    new URLSearchParams(window.location.search).get("lang")
+  );
+  if (fromQuery) store(fromQuery);
+
+  apply(
+    fromQuery ||
+      normalize(readStored()) ||
+      normalize(navigator.languages?.[0] || navigator.language) ||
+      "en"
+  );
+
+  const choose = (lang) => {
+    const next = normalize(lang);
+    if (!next) return false;
+
+    store(next);
+    apply(next);
+    return true;
+  };
+
+  const toggleLang = () => choose(current === "es" ? "en" : "es");
+
+  switches.forEach((btn) => {
+    btn.addEventListener("click", () => {
+      toggleLang();
+      el32Analytics.track("lang-switch", { lang: current });
+    });
+  });
+
+  // Keep other open tabs in step
+  window.addEventListener("storage", (e) => {
+    if (e.key !== STORAGE_KEY) return;
+    const lang = normalize(e.newValue);
+    if (lang) apply(lang);
+  });
+
+  el32Api.expose("lang", {
+    set: choose,
+    toggle: toggleLang,
+    get current() {
+      return current;
+    },
+  });
+})();
+
+/* =====================================================================
+   4) El 32 — Landing Scroll Lock
+   - The landing is one fixed screen: no touch panning / rubber-band
+   - Holds a scroll lock (see 0) for as long as body.is-landing is on
+     screen; the open Discover panel keeps its own scrolling
+   - Page mount: the router swaps between the landing and inner pages
+     without a reload, and the lock is released with the page
+   - Does NOT break taps/clicks on buttons/links
+===================================================================== */
+el32Pages.mount((signal) => {
+  "use strict";
+
+  if (!document.body.classList.contains("is-landing")) return;
+
+  el32ScrollLock.lock({ allow: "[data-menu-panel]", signal });
+}, { name: "landing" });
+
+/* =====================================================================
+   Inner Pages — Scroll Reveal (IntersectionObserver)
+   - Reveals [data-reveal] headlines + [data-reveal-item] rows as they
+     scroll into .page__scroll (the inner-page scroll container)
+   - Stagger restarts per [data-reveal-group] and only counts the items
+     that enter together (no timers for rows far below the fold)
+   - Late content (rendered menu cards, loaded gallery tiles) is picked
+     up by a MutationObserver; nothing has to announce it
+   - Respects prefers-reduced-motion (live: no stagger while it is on,
+     but still marks .is-in so turning it off later shows everything)
+   Notes:
+   - Nodes inserted with .is-in already (language re-renders) are skipped
+   - Page mount: observers are rebuilt around each swapped-in page
+===================================================================== */
+el32Pages.mount((signal) => {
+  "use strict";
+
+  const SELECTOR = "[data-reveal], [data-reveal-item]";
+  if (!document.querySelector(`${SELECTOR}, [data-reveal-group]`)) return;
+
+  const reducedMotion = el32Env.reducedMotion;
+  const scroller = document.querySelector(".page__scroll");
+
+  // Same rhythm as before: headlines 80ms apart, rows 120ms + 90ms each
+  const HEADLINE_STEP_MS = 80;
+  const ITEM_DELAY_MS = 120;
+  const ITEM_STEP_MS = 90;
+
+  const pending = new Set();
+
+  const show = (el) => {
+    pending.delete(el);
+    el.classList.add("is-in");
+  };
+
+  let io = null;
+
+  const onIntersect = (entries) => {
+    const entering = entries.filter((entry) => entry.isIntersecting).map((entry) => entry.target);
+    if (entering.length === 0) return;
+
+    entering.forEach((el) => io.unobserve(el));
+
+    if (reducedMotion.value) {
+      entering.forEach(show);
+      return;
+    }
+
+    // Count per group (headlines share one page-level count)
+    const counts = new Map();
+
+    entering.forEach((el) => {
+      const isHeadline = el.hasAttribute("data-reveal");
+      const group = isHeadline ? "headlines" : el.closest("[data-reveal-group]") ?? "page";
+      const i = counts.get(group) ?? 0;
+      counts.set(group, i + 1);
+
+      const delay = isHeadline ? i * HEADLINE_STEP_MS : ITEM_DELAY_MS + i * ITEM_STEP_MS;
+      window.setTimeout(() => show(el), delay);
+    });
+  };
+
+  // No observer (very old browsers): everything is simply shown
+  if ("IntersectionObserver" in window) {
+    io = new IntersectionObserver(onIntersect, {
+      root: scroller,
+      rootMargin: "0px 0px -6% 0px",
+    });
+  }
+
+  const watch = (el) => {
+    if (el.classList.contains("is-in") || pending.has(el)) return;
+    if (!io) {
+      show(el);
+      return;
+    }
+
+    pending.add(el);
+    io.observe(el);
+  };
+
+  const watchTree = (node) => {
+    if (!(node instanceof Element)) return;
+    if (node.matches(SELECTOR)) watch(node);
+    node.querySelectorAll(SELECTOR).forEach(watch);
+  };
+
+  // Start: next paint, then observe (prevents “no-transition” first frame)
+  requestAnimationFrame(() => watchTree(document.body));
+
+  const mo = new MutationObserver((records) => {
+    records.forEach((record) => {
+      record.addedNodes.forEach(watchTree);
+      record.removedNodes.forEach((node) => {
+        if (!(node instanceof Element)) return;
+        [node, ...node.querySelectorAll(SELECTOR)].forEach((el) => {
+          if (!pending.delete(el)) return;
+          io.unobserve(el);
+        });
+      });
+    });
+  });
+  mo.observe(document.body, { childList: true, subtree: true });
+
+  signal.addEventListener("abort", () => {
+    mo.disconnect();
+    io?.disconnect();
+    pending.clear();
+  });
+
+  // Reduce Motion switched on mid-page: show whatever is still waiting
+  reducedMotion.subscribe((reduce) => {
+    if (!reduce) return;
+    pending.forEach((el) => {
+      io.unobserve(el);
+      show(el);
+    });
+  }, { signal });
+}, { name: "reveal" });
+/* =====================================================================
+   El 32 — Lightbox (Any Image Group, Swipe + Keys, Stable)
+   Structure:
+   - Defensive DOM lookups
+   - Open/close + focus restore
+   - Prev/next + preload neighbors
+   - Swipe: velocity + distance thresholds (your “second swipe” behavior)
+   - Zoom + pan: pinch, double-tap, ctrl/⌘+wheel, +/- keys (0 resets)
+   - Deep links: party.html#photo-N opens that photo; Back closes it
+   - Share: Web Share API, else copy the link
+   - Modal: Tab trap, background inert, alt/caption from the tile,
+     "3 / 6" counter + polite live announcements
+   - Slideshow (lobby TV): fullscreen, crossfade, idle-hidden controls;
+     ?slideshow=1 launches it, ?interval=<seconds> overrides the
+     data-slideshow-interval (ms) on the lightbox
+   Markup:
+   - data-gallery="name" on a button / link (or a bare img) makes it one
+     photo of group "name"; prev/next walk that group in page order
+       <button class="gallery-btn" type="button" data-gallery="party">
+         <img src="thumb.jpg" data-full="big.jpg" alt="…" />
+       </button>
+   - Big image: data-full on the trigger or its img, else a link's
+     href, else the img src
+   - Caption: data-caption, else the tile's <figcaption>, else the alt
+   - [data-lightbox] is optional: pages without one get the same markup
+     built on first open
+   Notes:
+   - Everything stays inside ONE IIFE to avoid ReferenceErrors
+   - Swipe-to-navigate is off while zoomed (one finger pans instead)
+   - Zoom resets whenever the photo changes (setIndex)
+   - History: open pushes one entry, prev/next replace it, so Back
+     always means "close the viewer"
+   - Deep links: #photo-N = the first group on the page (old party
+     links keep working), #photo-<name>-N = any other group
+   - Tiles are re-collected on every photo change and on
+     "el32:gallery-change", so prev/next follow re-rendered cards and
+     stay inside the album currently on screen
+   - Slideshow pauses on pointer/key input and while the tab is hidden,
+     then resumes once the guest goes idle again
+   - Page mount: leaving the page (router) closes the viewer quietly;
+     clicks are delegated, so late [data-gallery] markup needs no re-run
+   Events + API:
+   - "el32:lightbox-open" / "-change" / "-close" ({ index, count, group })
+     bubble from [data-lightbox]
+   - El32.lightbox: open(i = 0, group = first group), close(), next(),
+     prev(), isOpen / index / count / group (read-only)
+   - Analytics: lightbox-open / lightbox-close ({ index, group }),
+     lightbox-swipe ({ index, group, dir })
+===================================================================== */
+el32Pages.mount((signal) => {
+  "use strict";
+
+  const TRIGGER = "[data-gallery]";
+
+  // Group on screen + its triggers (cards can be re-rendered underneath)
+  let group = null;
+  let tiles = [];
+
+  // Hidden ones (filtered-out menu cards) are skipped
+  const membersOf = (name) =>
+    Array.from(document.querySelectorAll(TRIGGER)).filter(
+      (el) => el.getAttribute("data-gallery") === name && !el.closest("[hidden]")
+    );
+
+  const collectTiles = () => {
+    tiles = group === null ? [] : membersOf(group);
+  };
+
+  // Plain #photo-N links belong to this one
+  const firstGroup = () => document.querySelector(TRIGGER)?.getAttribute("data-gallery") ?? null;
+
+  // Resolved (or built) on first open: see ensureLightbox()
+  let lb = null;
+  let imgEl = null;
+  let stage = null;
+  let btnPrev = null;
+  let btnNext = null;
+  let closeBtns = [];
+  let shareBtn = null;
+  let playBtn = null;
+  let toast = null;
+  let counterEl = null;
+  let captionEl = null;
+  let liveEl = null;
+
+  let index = 0;
+  let isOpen = false;
+  let lastActive = null;
+  let releaseScroll = null;
+
+  // Set when close() itself calls history.back()
+  let ignoreNextPop = false;
+
+  const TOAST_MS = 2200;
+
+  const reducedMotion = el32Env.reducedMotion;
+
+  const params = new URLSearchParams(window.location.search);
+
+  // Slideshow timing (interval is configurable; the rest is feel)
+  const DEFAULT_INTERVAL_MS = 6000;
+  const MIN_INTERVAL_MS = 2000;
+  const FADE_MS = 900;
+  const IDLE_MS = 3000;
+  const MORE_WAIT_MS = 4000;
+
+  const slideInterval = () => {
+    const fromQuery = Number(params.get("interval")) * 1000;
+    if (fromQuery >= MIN_INTERVAL_MS) return fromQuery;
+
+    const fromAttr = Number(lb.getAttribute("data-slideshow-interval"));
+    return fromAttr >= MIN_INTERVAL_MS ? fromAttr : DEFAULT_INTERVAL_MS;
+  };
+
+  const COPY = {
+    en: {
+      copied: "Link copied",
+      copyFailed: "Couldn’t copy the link",
+      photoOf: (n, total) => `Photo ${n} of ${total}`,
+      play: "Start slideshow",
+      stop: "Stop slideshow",
+    },
+    es: {
+      copied: "Enlace copiado",
+      copyFailed: "No se pudo copiar el enlace",
+      photoOf: (n, total) => `Foto ${n} de ${total}`,
+      play: "Iniciar presentación",
+      stop: "Detener presentación",
+    },
+  };
+
+  // Page regions we made inert while open (restored on close)
+  let inertEls = [];
+
+  // --- helpers ---------------------------------------------------------
+
+  const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+
+  const { lang, el } = el32Content;
+
+  // Deep links are 1-based for humans: #photo-1 … #photo-N
+  const photoHash = (i) =>
+    group === firstGroup() ? `#photo-${i + 1}` : `#photo-${group}-${i + 1}`;
+  const baseUrl = () => window.location.pathname + window.location.search;
+
+  // "#photo-3" → { name: first group, i: 2 }; "#photo-menu-2" → "menu", 1
+  const targetFromHash = () => {
+    const match = /^#photo-(?:([\w-]+)-)?(\d+)$/.exec(window.location.hash);
+    if (!match) return null;
+
+    const name = match[1] ?? firstGroup();
+    const i = Number(match[2]) - 1;
+    return name !== null && i >= 0 && i < membersOf(name).length ? { name, i } : null;
+  };
+
+  const tileAt = (i) => tiles[(i + tiles.length) % tiles.length];
+
+  const imageOf = (tile) => (tile?.tagName === "IMG" ? tile : tile?.querySelector("img"));
+
+  const getFullSrc = (i) => {
+    const tile = tileAt(i);
+    const img = imageOf(tile);
+
+    return (
+      tile?.getAttribute("data-full") ||
+      img?.getAttribute("data-full") ||
+      (tile?.tagName === "A" ? tile.getAttribute("href") : null) ||
+      img?.getAttribute("src") ||
+      ""
+    );
+  };
+
+  // Alt text from the tile img; caption from data-caption / figcaption,
+  // else the alt (decorative card images borrow the caption as alt)
+  const describe = (i) => {
+    const tile = tileAt(i);
+    const alt = imageOf(tile)?.getAttribute("alt")?.trim() || "";
+    const figcaption = tile?.closest("figure")?.querySelector("figcaption");
+    const caption =
+      tile?.getAttribute("data-caption")?.trim() || figcaption?.textContent.trim() || alt;
+
+    return { alt: alt || caption, caption };
+  };
+
+  const renderMeta = ({ announce }) => {
+    const { alt, caption } = describe(index);
+
+    imgEl.alt = alt;
+
+    if (captionEl) {
+      captionEl.textContent = caption;
+      captionEl.hidden = !caption;
+    }
+
+    if (counterEl) counterEl.textContent = `${index + 1} / ${tiles.length}`;
+
+    if (announce && liveEl) {
+      const label = COPY[lang()].photoOf(index + 1, tiles.length);
+      liveEl.textContent = caption ? `${label}: ${caption}` : label;
+    }
+  };
+
+  // Everything outside the lightbox, sibling by sibling up to <body>
+  const setBackgroundInert = (on) => {
+    inertEls.forEach((el) => el.removeAttribute("inert"));
+    inertEls = [];
+    if (!on) return;
+
+    for (let node = lb; node && node !== document.body; node = node.parentElement) {
+      Array.from(node.parentElement?.children || []).forEach((sibling) => {
+        if (sibling === node || sibling.hasAttribute("inert")) return;
+        if (sibling.tagName === "SCRIPT") return;
+
+        sibling.setAttribute("inert", "");
+        inertEls.push(sibling);
+      });
+    }
+  };
+
+  const focusables = () =>
+    Array.from(
+      lb.querySelectorAll('button, [href], input, [tabindex]:not([tabindex="-1"])')
+    ).filter((el) => !el.disabled && !el.closest("[hidden]"));
+
+  // Tab / Shift+Tab wrap inside the dialog
+  const trapTab = (e) => {
+    const items = focusables();
+    if (items.length === 0) {
+      e.preventDefault();
+      return;
+    }
+
+    const first = items[0];
+    const last = items[items.length - 1];
+    const active = document.activeElement;
+
+    if (e.shiftKey && (active === first || !lb.contains(active))) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (active === last || !lb.contains(active))) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  const preload = (src) => {
+    if (!src) return null;
+    const im = new Image();
+    im.decoding = "async";
+    im.src = src;
+    return im;
+  };
+
+  const emit = (type) => {
+    lb.dispatchEvent(
+      new CustomEvent(`el32:lightbox-${type}`, {
+        bubbles: true,
+        detail: { index, count: tiles.length, group },
+      })
+    );
+  };
+
+  const setIndex = (nextIndex, { updateUrl = true, announce = true, notify = true } = {}) => {
+    // The group's cards may have been re-rendered (menu, events)
+    collectTiles();
+    if (tiles.length === 0) return;
+
+    index = (nextIndex + tiles.length) % tiles.length;
+    const src = getFullSrc(index);
+    if (!src) return;
+
+    // Each photo starts un-zoomed
+    resetZoom();
+
+    // Swap image
+    imgEl.src = src;
+    renderMeta({ announce });
+
+    // Preload neighbors (cheap; improves swipe feel)
+    preload(getFullSrc(index - 1));
+    preload(getFullSrc(index + 1));
+
+    // Prev/next swap the URL in place (no history pile-up)
+    if (isOpen && updateUrl) {
+      history.replaceState(history.state, "", photoHash(index));
+    }
+
+    if (isOpen && notify) emit("change");
+  };
+
+  const prev = () => setIndex(index - 1);
+  const next = () => setIndex(index + 1);
+
+  // --- zoom + pan ------------------------------------------------------
+
+  const MAX_ZOOM = 4;
+  const DOUBLE_TAP_ZOOM = 2.5;
+  const KEY_ZOOM_STEP = 1.5;
+
+  let zoom = 1;
+  let panX = 0;
+  let panY = 0;
+
+  const isZoomed = () => zoom > 1;
+
+  // Point relative to the stage centre (where the un-zoomed image sits)
+  const fromCenter = (clientX, clientY) => {
+    const rect = stage.getBoundingClientRect();
+    return {
+      x: clientX - (rect.left + rect.width / 2),
+      y: clientY - (rect.top + rect.height / 2),
+    };
+  };
+
+  // Keep the zoomed image covering the stage: no pulling an edge inward
+  const clampPan = () => {
+    const rect = stage.getBoundingClientRect();
+    const maxX = Math.max(0, (imgEl.offsetWidth * zoom - rect.width) / 2);
+    const maxY = Math.max(0, (imgEl.offsetHeight * zoom - rect.height) / 2);
+
+    panX = clamp(panX, -maxX, maxX);
+    panY = clamp(panY, -maxY, maxY);
+  };
+
+  const applyZoom = () => {
+    if (zoom <= 1.01) {
+      zoom = 1;
+      panX = 0;
+      panY = 0;
+    }
+
+    clampPan();
+
+    const zoomed = isZoomed();
+    stage.classList.toggle("is-zoomed", zoomed);
+    imgEl.style.transform = zoomed
+      ? `translate3d(${panX}px, ${panY}px, 0) scale(${zoom})`
+      : "";
+  };
+
+  // Zoom keeping the image point under (clientX, clientY) in place
+  const zoomAt = (nextZoom, clientX, clientY) => {
+    const p = fromCenter(clientX, clientY);
+    const z = clamp(nextZoom, 1, MAX_ZOOM);
+
+    panX = p.x - (p.x - panX) * (z / zoom);
+    panY = p.y - (p.y - panY) * (z / zoom);
+    zoom = z;
+
+    applyZoom();
+  };
+
+  const zoomBy = (factor) => {
+    if (!isOpen) return;
+    const rect = stage.getBoundingClientRect();
+    imgEl.classList.remove("is-dragging");
+    zoomAt(zoom * factor, rect.left + rect.width / 2, rect.top + rect.height / 2);
+  };
+
+  const resetZoom = () => {
+    zoom = 1;
+    applyZoom();
+  };
+
+  // --- open/close ------------------------------------------------------
+
+  // false when the group has no photo i (or the viewer is already up)
+  const open = (name, i, triggerEl, { fromHistory = false } = {}) => {
+    if (isOpen || !ensureLightbox()) return false;
+
+    group = name;
+    collectTiles();
+    if (!tiles[i]) return false;
+    isOpen = true;
+
+    lastActive = triggerEl || document.activeElement;
+
+    lb.hidden = false;
+    lb.setAttribute("aria-hidden", "false");
+
+    // Page stays put underneath (shared lock: the menu may hold one too)
+    releaseScroll = el32ScrollLock.lock();
+
+    setBackgroundInert(true);
+
+    // Ensure clean visual state
+    imgEl.classList.remove("is-dragging");
+    imgEl.style.opacity = "";
+
+    setIndex(i, { updateUrl: false, notify: false });
+
+    if (!fromHistory) {
+      history.pushState({ el32Photo: true }, "", photoHash(index));
+    }
+
+    // Focus close for accessibility (the button, not the backdrop)
+    const closeBtn = lb.querySelector("button[data-lb-close]");
+    closeBtn?.focus?.({ preventScroll: true });
+
+    emit("open");
+    el32Analytics.track("lightbox-open", { index, group });
+    return true;
+  };
+
+  const close = ({ fromHistory = false } = {}) => {
+    if (!isOpen) return;
+    isOpen = false;
+
+    lb.setAttribute("aria-hidden", "true");
+    lb.hidden = true;
+
+    releaseScroll?.();
+    releaseScroll = null;
+
+    setBackgroundInert(false);
+    if (liveEl) liveEl.textContent = "";
+
+    // Reset any swipe / zoom visuals
+    imgEl.classList.remove("is-dragging");
+    imgEl.style.opacity = "";
+    resetZoom();
+    hideToast();
+    stopSlideshow();
+
+    lastActive?.focus?.({ preventScroll: true });
+
+    emit("close");
+    el32Analytics.track("lightbox-close", { index, group });
+
+    if (fromHistory) return;
+
+    // Pop our own entry; otherwise just drop the hash
+    if (history.state?.el32Photo) {
+      ignoreNextPop = true;
+      history.back();
+    } else {
+      history.replaceState(null, "", baseUrl());
+    }
+  };
+
+  // Swapped out while open: undo inert / scroll lock / fullscreen
+  signal.addEventListener("abort", () => close({ fromHistory: true }));
+
+  // --- click wiring ----------------------------------------------------
+
+  // Delegated: tiles rendered later (gallery, menu, events) just work
+  document.addEventListener("click", (e) => {
+    const trigger = e.target.closest?.(TRIGGER);
+    if (!trigger) return;
+
+    // Modified clicks on a link still open it in a new tab
+    if (trigger.tagName === "A" && (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey)) return;
+
+    const name = trigger.getAttribute("data-gallery");
+    if (open(name, membersOf(name).indexOf(trigger), trigger)) e.preventDefault();
+  }, { signal });
+
+  // Tile alts are translated by the i18n block; follow along
+  el32Env.lang.subscribe(() => {
+    if (isOpen) renderMeta({ announce: false });
+  }, { signal });
+
+  // Data-driven gallery (re)rendered its tiles
+  document.addEventListener("el32:gallery-change", () => {
+    collectTiles();
+    if (!isOpen) return;
+
+    if (tiles.length === 0) close();
+    else renderMeta({ announce: false });
+  }, { signal });
+
+  // --- history ---------------------------------------------------------
+
+  window.addEventListener("popstate", () => {
+    if (ignoreNextPop) {
+      ignoreNextPop = false;
+      return;
+    }
+
+    const target = targetFromHash();
+
+    if (target === null) {
+      close({ fromHistory: true });
+    } else if (isOpen) {
+      group = target.name;
+      setIndex(target.i, { updateUrl: false });
+    } else {
+      open(target.name, target.i, membersOf(target.name)[target.i], { fromHistory: true });
+    }
+  }, { signal });
+
+  // --- share -----------------------------------------------------------
+
+  let toastTimer = 0;
+
+  const hideToast = () => {
+    window.clearTimeout(toastTimer);
+    if (toast) toast.hidden = true;
+  };
+
+  const showToast = (text) => {
+    if (!toast) return;
+    toast.textContent = text;
+    toast.hidden = false;
+
+    window.clearTimeout(toastTimer);
+    toastTimer = window.setTimeout(hideToast, TOAST_MS);
+  };
+
+  const copyLink = (url) => {
+    const write = navigator.clipboard?.writeText
+      ? navigator.clipboard.writeText(url)
+      : Promise.reject(new Error("Clipboard unavailable"));
+
+    write
+      .then(() => showToast(COPY[lang()].copied))
+      .catch(() => showToast(COPY[lang()].copyFailed));
+  };
+
+  const onShare = () => {
+    const url = window.location.href;
+
+    if (!navigator.share) {
+      copyLink(url);
+      return;
+    }
+
+    navigator.share({ title: document.title, url }).catch((err) => {
+      // Closing the share sheet isn't a failure
+      if (err?.name !== "AbortError") copyLink(url);
+    });
+  };
+
+  // --- keyboard --------------------------------------------------------
+
+  document.addEventListener("keydown", (e) => {
+    if (!isOpen) return;
+    if (slideshow) nudge();
+    if (e.key === "Tab") {
+      trapTab(e);
+      return;
+    }
+    if (e.key === "Escape") close();
+    if (e.key === "ArrowLeft") prev();
+    if (e.key === "ArrowRight") next();
+
+    // Leave ctrl/⌘ +/- to the browser's own page zoom
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.key === "+" || e.key === "=") zoomBy(KEY_ZOOM_STEP);
+    if (e.key === "-" || e.key === "_") zoomBy(1 / KEY_ZOOM_STEP);
+    if (e.key === "0") resetZoom();
+  }, { signal });
+
+  // --- swipe (your “second swipe” behavior) ----------------------------
+
+  let pointerDown = false;
+  let startX = 0;
+  let deltaX = 0;
+  let startT = 0;
+  let activePointerId = null;
+  let isAnimating = false;
+
+  const setDragVisual = (dx) => {
+    const w = Math.max(320, window.innerWidth);
+    const progress = clamp(Math.abs(dx) / (w * 0.9), 0, 1);
+    const opacity = 1 - progress * 0.25;
+
+    imgEl.style.transform = `translate3d(${dx}px, 0, 0)`;
+    imgEl.style.opacity = `${opacity}`;
+  };
+
+  const resetVisual = () => {
+    imgEl.style.transform = "";
+    imgEl.style.opacity = "";
+  };
+
+  const animateTo = (dx, opacity = 1, cb) => {
+    if (isAnimating) return;
+    isAnimating = true;
+
+    // Ensure transitions apply (your CSS uses transition unless .is-dragging)
+    imgEl.classList.remove("is-dragging");
+
+    requestAnimationFrame(() => {
+      imgEl.style.transform = `translate3d(${dx}px, 0, 0)`;
+      imgEl.style.opacity = `${opacity}`;
+
+      const done = () => {
+        isAnimating = false;
+        cb?.();
+      };
+
+      // Reduced motion CSS drops the transition: no transitionend will come
+      if (reducedMotion.value) {
+        done();
+        return;
+      }
+
+      // Use once to avoid leaks
+      imgEl.addEventListener("transitionend", done, { once: true });
+    });
+  };
+
+  // Pointer routing: one finger = swipe (or pan when zoomed), two = pinch
+  const pointers = new Map();
+  let gesture = null; // "swipe" | "pan" | "pinch"
+  let pinchStart = null;
+  let panStart = null;
+  let tapStart = null;
+  let lastTap = null;
+
+  const TAP_SLOP = 10;
+  const TAP_MS = 300;
+  const DOUBLE_TAP_MS = 300;
+  const DOUBLE_TAP_SLOP = 30;
+
+  const pinchPoints = () => {
+    const [a, b] = Array.from(pointers.values());
+    const mid = fromCenter((a.x + b.x) / 2, (a.y + b.y) / 2);
+    return { mid, dist: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y)) };
+  };
+
+  const beginPan = (e) => {
+    gesture = "pan";
+    panStart = { x: e.clientX, y: e.clientY, panX, panY };
+    imgEl.classList.add("is-dragging");
+  };
+
+  const beginPinch = () => {
+    // Abandon any half-done swipe
+    pointerDown = false;
+    imgEl.style.opacity = "";
+
+    const { mid, dist } = pinchPoints();
+    gesture = "pinch";
+    tapStart = null;
+    imgEl.classList.add("is-dragging");
+
+    // Image-space point under the fingers stays under the fingers
+    pinchStart = {
+      dist,
+      zoom,
+      anchorX: (mid.x - panX) / zoom,
+      anchorY: (mid.y - panY) / zoom,
+    };
+  };
+
+  const onStagePointerDown = (e) => {
+    if (!isOpen || isAnimating) return;
+
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    stage.setPointerCapture?.(e.pointerId);
+
+    if (pointers.size === 2) {
+      beginPinch();
+      return;
+    }
+    if (pointers.size > 2) return;
+
+    tapStart = { x: e.clientX, y: e.clientY, t: performance.now() };
+
+    if (isZoomed()) {
+      beginPan(e);
+      return;
+    }
+
+    gesture = "swipe";
+    pointerDown = true;
+    activePointerId = e.pointerId;
+    startX = e.clientX;
+    deltaX = 0;
+    startT = performance.now();
+
+    imgEl.classList.add("is-dragging");
+  };
+
+  const onStagePointerMove = (e) => {
+    const point = pointers.get(e.pointerId);
+    if (!point) return;
+
+    point.x = e.clientX;
+    point.y = e.clientY;
+
+    if (gesture === "pinch" && pointers.size >= 2) {
+      const { mid, dist } = pinchPoints();
+      zoom = clamp((pinchStart.zoom * dist) / pinchStart.dist, 1, MAX_ZOOM);
+      panX = mid.x - pinchStart.anchorX * zoom;
+      panY = mid.y - pinchStart.anchorY * zoom;
+      applyZoom();
+      return;
+    }
+
+    if (gesture === "pan") {
+      panX = panStart.panX + (e.clientX - panStart.x);
+      panY = panStart.panY + (e.clientY - panStart.y);
+      applyZoom();
+      return;
+    }
+
+    if (!pointerDown || e.pointerId !== activePointerId) return;
+
+    deltaX = e.clientX - startX;
+    setDragVisual(deltaX);
+  };
+
+  const finishSwipe = () => {
+    if (!pointerDown) return;
+
+    pointerDown = false;
+
+    const w = Math.max(320, window.innerWidth);
+    const elapsed = Math.max(1, performance.now() - startT);
+    const velocity = deltaX / elapsed; // px per ms
+
+    // Tuned thresholds: responsive but not jumpy
+    const distanceOK = Math.abs(deltaX) > w * 0.18;
+    const velocityOK = Math.abs(velocity) > 0.65;
+
+    // Determine direction: swipe left => next, swipe right => prev
+    const dir = deltaX < 0 ? 1 : -1;
+
+    // A tap (no drag) has nothing to animate back
+    if (Math.abs(deltaX) < TAP_SLOP) {
+      imgEl.classList.remove("is-dragging");
+      resetVisual();
+      return;
+    }
+
+    // If not enough swipe, snap back cleanly
+    if (!(distanceOK || velocityOK)) {
+      animateTo(0, 1, () => {
+        resetVisual();
+      });
+      return;
+    }
+
+    // Slide current image out
+    const outX = dir === 1 ? -w : w;
+
+    animateTo(outX, 0.9, () => {
+      // Swap image once off-screen
+      if (dir === 1) next();
+      else prev();
+      el32Analytics.track("lightbox-swipe", { index, group, dir: dir === 1 ? "next" : "prev" });
+
+      // Place new image just off-screen opposite side (no transition)
+      imgEl.classList.add("is-dragging");
+      imgEl.style.transform = `translate3d(${dir === 1 ? w : -w}px, 0, 0)`;
+      imgEl.style.opacity = "0.9";
+
+      // Animate into place
+      requestAnimationFrame(() => {
+        imgEl.classList.remove("is-dragging");
+        resetVisual();
+      });
+    });
+  };
+
+  // Two quick taps: zoom in at that spot, or back out
+  const checkDoubleTap = (e) => {
+    const moved = tapStart
+      ? Math.hypot(e.clientX - tapStart.x, e.clientY - tapStart.y)
+      : Infinity;
+    const quick = tapStart && performance.now() - tapStart.t < TAP_MS;
+    tapStart = null;
+
+    if (moved > TAP_SLOP || !quick) {
+      lastTap = null;
+      return;
+    }
+
+    const now = performance.now();
+    const isDouble =
+      lastTap &&
+      now - lastTap.t < DOUBLE_TAP_MS &&
+      Math.hypot(e.clientX - lastTap.x, e.clientY - lastTap.y) < DOUBLE_TAP_SLOP;
+
+    if (!isDouble) {
+      lastTap = { x: e.clientX, y: e.clientY, t: now };
+      return;
+    }
+
+    lastTap = null;
+    imgEl.classList.remove("is-dragging");
+    if (isZoomed()) resetZoom();
+    else zoomAt(DOUBLE_TAP_ZOOM, e.clientX, e.clientY);
+  };
+
+  const endPointer = (e) => {
+    if (!pointers.has(e.pointerId)) return;
+    pointers.delete(e.pointerId);
+
+    if (gesture === "pinch") {
+      if (pointers.size === 1) {
+        // Lifting one finger continues as a pan with the other
+        const [rest] = Array.from(pointers.values());
+        if (isZoomed()) beginPan({ clientX: rest.x, clientY: rest.y });
+        else gesture = null;
+      } else if (pointers.size === 0) {
+        gesture = null;
+        imgEl.classList.remove("is-dragging");
+        applyZoom();
+      }
+      return;
+    }
+
+    if (gesture === "pan") {
+      gesture = null;
+      imgEl.classList.remove("is-dragging");
+      if (e.type === "pointerup") checkDoubleTap(e);
+      return;
+    }
+
+    if (gesture === "swipe") {
+      gesture = null;
+      finishSwipe();
+      if (e.type === "pointerup") checkDoubleTap(e);
+    }
+  };
+
+  // Trackpad pinch arrives as ctrl+wheel; ⌘+wheel on a mouse too.
+  // Plain wheel pans once zoomed.
+  const onWheel = (e) => {
+    if (!isOpen) return;
+
+    if (e.ctrlKey || e.metaKey) {
+      e.preventDefault();
+      imgEl.classList.add("is-dragging");
+      zoomAt(zoom * Math.exp(-e.deltaY * 0.01), e.clientX, e.clientY);
+      return;
+    }
+
+    if (!isZoomed()) return;
+
+    e.preventDefault();
+    imgEl.classList.add("is-dragging");
+    panX -= e.deltaX;
+    panY -= e.deltaY;
+    applyZoom();
+  };
+
+  // Panels resize → re-clamp so the image never drifts off-stage
+  window.addEventListener("resize", () => {
+    if (isOpen && isZoomed()) applyZoom();
+  }, { signal });
+
+  // --- slideshow -------------------------------------------------------
+
+  let slideshow = false; // mode on (play button pressed)
+  let slideTimer = 0; // running when non-zero
+  let idleTimer = 0;
+  let enteredFullscreen = false;
+
+  const fullscreenElement = () =>
+    document.fullscreenElement || document.webkitFullscreenElement || null;
+
+  const enterFullscreen = () => {
+    const request = lb.requestFullscreen || lb.webkitRequestFullscreen;
+    if (!request || fullscreenElement()) return;
+
+    // Needs a user gesture; a kiosk URL launch may be refused (fine)
+    Promise.resolve()
+      .then(() => request.call(lb))
+      .then(() => {
+        enteredFullscreen = true;
+      })
+      .catch(() => {});
+  };
+
+  const exitFullscreen = () => {
+    if (!enteredFullscreen) return;
+    enteredFullscreen = false;
+
+    const exit = document.exitFullscreen || document.webkitExitFullscreen;
+    if (fullscreenElement() && exit) {
+      Promise.resolve()
+        .then(() => exit.call(document))
+        .catch(() => {});
+    }
+  };
+
+  // Last rendered tile but the album has more: pull in the next batch.
+  // Resolves once its tiles are in (else index + 1 would wrap to photo 1)
+  const loadMoreIfAtEnd = () => {
+    const more = document.querySelector("[data-gallery-more]:not([hidden])");
+    if (!more || index < tiles.length - 1) return Promise.resolve();
+    if (!tiles[index]?.closest("[data-gallery-grid]")) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      // Registered after ours above, so tiles are re-collected by now
+      const done = () => {
+        window.clearTimeout(timer);
+        document.removeEventListener("el32:gallery-change", done);
+        resolve();
+      };
+
+      // A batch that never renders just lets the show wrap around
+      const timer = window.setTimeout(done, MORE_WAIT_MS);
+      document.addEventListener("el32:gallery-change", done, { signal });
+      more.click();
+    });
+  };
+
+  // Old photo fades out on top of the new one (plain swap if reduced motion).
+  // stale(): the show was paused meanwhile, so keep the current photo
+  const crossfadeTo = (nextIndex, stale = () => false) => {
+    const ready = preload(getFullSrc(nextIndex))?.decode?.().catch(() => {});
+
+    return Promise.resolve(ready).then(() => {
+      if (!isOpen || stale()) return;
+
+      if (reducedMotion.value) {
+        setIndex(nextIndex, { announce: false });
+        return;
+      }
+
+      const ghost = imgEl.cloneNode(false);
+      ghost.removeAttribute("data-lb-img");
+      ghost.className = "lightbox__img lightbox__ghost";
+      ghost.alt = "";
+      ghost.setAttribute("aria-hidden", "true");
+      stage.appendChild(ghost);
+
+      setIndex(nextIndex, { announce: false });
+
+      requestAnimationFrame(() => ghost.classList.add("is-fading"));
+      window.setTimeout(() => ghost.remove(), FADE_MS + 100);
+    });
+  };
+
+  // Bumped by every pause: a slide still loading/decoding from before
+  // one must neither advance nor restart the timer
+  let slideRun = 0;
+
+  const pauseSlides = () => {
+    window.clearTimeout(slideTimer);
+    slideTimer = 0;
+    slideRun += 1;
+  };
+
+  const scheduleSlide = () => {
+    const run = slideRun;
+    const stale = () => run !== slideRun;
+
+    slideTimer = window.setTimeout(() => {
+      loadMoreIfAtEnd()
+        .then(() => (stale() ? null : crossfadeTo(index + 1, stale)))
+        .then(() => {
+          if (stale()) return;
+          slideTimer = 0;
+          resumeSlides();
+        });
+    }, slideInterval());
+  };
+
+  const resumeSlides = () => {
+    if (!slideshow || slideTimer || !isOpen || document.hidden) return;
+    if (isZoomed()) return;
+    scheduleSlide();
+  };
+
+  // Controls + cursor fade out once nobody is touching anything
+  const goIdle = () => {
+    if (!slideshow) return;
+    lb.classList.add("is-idle");
+    resumeSlides();
+  };
+
+  // Any input: show controls, hold the current photo
+  const nudge = () => {
+    lb.classList.remove("is-idle");
+    pauseSlides();
+
+    window.clearTimeout(idleTimer);
+    if (slideshow) idleTimer = window.setTimeout(goIdle, IDLE_MS);
+  };
+
+  const syncPlayBtn = () => {
+    if (!playBtn) return;
+    playBtn.setAttribute("aria-pressed", slideshow ? "true" : "false");
+    playBtn.setAttribute("aria-label", COPY[lang()][slideshow ? "stop" : "play"]);
+  };
+
+  const startSlideshow = () => {
+    if (!isOpen || slideshow) return;
+    slideshow = true;
+
+    lb.classList.add("is-slideshow");
+    syncPlayBtn();
+    enterFullscreen();
+
+    nudge();
+    resumeSlides();
+  };
+
+  const stopSlideshow = () => {
+    if (!slideshow) return;
+    slideshow = false;
+
+    pauseSlides();
+    window.clearTimeout(idleTimer);
+    lb.classList.remove("is-slideshow", "is-idle");
+    syncPlayBtn();
+    exitFullscreen();
+  };
+
+  const onPlay = () => {
+    if (slideshow) stopSlideshow();
+    else startSlideshow();
+  };
+
+  // Pointer input pauses; plain movement only wakes the controls
+  const onLightboxPointerDown = () => {
+    if (slideshow) nudge();
+  };
+
+  const onLightboxPointerMove = () => {
+    if (!slideshow) return;
+    lb.classList.remove("is-idle");
+    window.clearTimeout(idleTimer);
+    idleTimer = window.setTimeout(goIdle, IDLE_MS);
+  };
+
+  // Same rule as the ambient driver: nothing runs in a hidden tab
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) pauseSlides();
+    else resumeSlides();
+  }, { signal });
+
+  const onFullscreenChange = () => {
+    // Guest left fullscreen (Esc / system gesture): end the show too
+    if (!fullscreenElement() && enteredFullscreen) {
+      enteredFullscreen = false;
+      stopSlideshow();
+    }
+  };
+
+  document.addEventListener("fullscreenchange", onFullscreenChange, { signal });
+  document.addEventListener("webkitfullscreenchange", onFullscreenChange, { signal });
+
+  el32Env.lang.subscribe(syncPlayBtn, { signal });
+
+  // --- lightbox DOM ----------------------------------------------------
+
+  const SVG_NS = "http://www.w3.org/2000/svg";
+
+  const icon = (className, paths) => {
+    const svg = document.createElementNS(SVG_NS, "svg");
+    if (className) svg.setAttribute("class", className);
+    svg.setAttribute("viewBox", "0 0 24 24");
+    svg.setAttribute("aria-hidden", "true");
+    svg.setAttribute("focusable", "false");
+
+    paths.forEach((d) => {
+      const path = document.createElementNS(SVG_NS, "path");
+      path.setAttribute("d", d);
+      svg.appendChild(path);
+    });
+    return svg;
+  };
+
+  // English labels + i18n keys, as on party.html
+  const labelled = (node, label, key) => {
+    node.setAttribute("aria-label", label);
+    if (key) node.setAttribute("data-i18n-attr", `aria-label:${key}`);
+    return node;
+  };
+
+  const button = (className, hook, text) => {
+    const b = el("button", className, text);
+    b.type = "button";
+    b.setAttribute(hook, "");
+    return b;
+  };
+
+  // Same markup as the hand-written party.html lightbox
+  const createLightbox = () => {
+    const root = el("div", "lightbox");
+    root.setAttribute("data-lightbox", "");
+    root.setAttribute("aria-hidden", "true");
+    root.hidden = true;
+
+    const backdrop = el("div", "lightbox__backdrop");
+    backdrop.setAttribute("data-lb-close", "");
+
+    const ui = labelled(el("div", "lightbox__ui"), "Photo gallery", "party.gallery");
+    ui.setAttribute("role", "dialog");
+    ui.setAttribute("aria-modal", "true");
+    ui.setAttribute("aria-describedby", "lb-caption");
+
+    const play = button("lightbox__play", "data-lb-play");
+    play.setAttribute("aria-pressed", "false");
+    play.append(
+      icon("lightbox__play-icon", ["M8 5v14l11-7z"]),
+      icon("lightbox__stop-icon", ["M7 5h3v14H7zM14 5h3v14h-3z"])
+    );
+
+    const share = labelled(button("lightbox__share", "data-lb-share"), "Share photo", "party.share");
+    share.appendChild(
+      icon("", ["M12 15V3", "M7 8l5-5 5 5", "M5 12v7a2 2 0 0 0 2 2h10a2 2 0 0 0 2-2v-7"])
+    );
+
+    const stageEl = el("div", "lightbox__stage");
+    stageEl.setAttribute("data-lb-stage", "");
+    const img = el("img", "lightbox__img");
+    img.setAttribute("data-lb-img", "");
+    img.alt = "";
+    stageEl.appendChild(img);
+
+    const meta = el("div", "lightbox__meta");
+    const counter = el("p", "lightbox__counter");
+    counter.setAttribute("aria-hidden", "true");
+    counter.setAttribute("data-lb-counter", "");
+    const caption = el("p", "lightbox__caption");
+    caption.id = "lb-caption";
+    caption.hidden = true;
+    caption.setAttribute("data-lb-caption", "");
+    meta.append(counter, caption);
+
+    const live = el("p", "sr-only");
+    live.setAttribute("aria-live", "polite");
+    live.setAttribute("data-lb-live", "");
+
+    const toastEl = el("p", "lightbox__toast");
+    toastEl.setAttribute("role", "status");
+    toastEl.hidden = true;
+    toastEl.setAttribute("data-lb-toast", "");
+
+    ui.append(
+      labelled(button("lightbox__close", "data-lb-close", "×"), "Close", "party.close"),
+      play,
+      share,
+      labelled(button("lightbox__nav lightbox__nav--prev", "data-lb-prev", "‹"), "Previous photo", "party.prev"),
+      stageEl,
+      labelled(button("lightbox__nav lightbox__nav--next", "data-lb-next", "›"), "Next photo", "party.next"),
+      meta,
+      live,
+      toastEl
+    );
+    root.append(backdrop, ui);
+
+    // Inside <main> so router swaps take it along with the page
+    (document.querySelector("body > main") || document.body).appendChild(root);
+    return root;
+  };
+
+  const bindLightbox = () => {
+    imgEl = lb.querySelector("[data-lb-img]");
+    stage = lb.querySelector("[data-lb-stage]");
+    btnPrev = lb.querySelector("[data-lb-prev]");
+    btnNext = lb.querySelector("[data-lb-next]");
+    closeBtns = Array.from(lb.querySelectorAll("[data-lb-close]"));
+    shareBtn = lb.querySelector("[data-lb-share]");
+    playBtn = lb.querySelector("[data-lb-play]");
+    toast = lb.querySelector("[data-lb-toast]");
+    counterEl = lb.querySelector("[data-lb-counter]");
+    captionEl = lb.querySelector("[data-lb-caption]");
+    liveEl = lb.querySelector("[data-lb-live]");
+    if (!imgEl || !stage) return false;
+
+    closeBtns.forEach((b) => b.addEventListener("click", () => close(), { signal }));
+    btnPrev?.addEventListener("click", prev, { signal });
+    btnNext?.addEventListener("click", next, { signal });
+    shareBtn?.addEventListener("click", onShare, { signal });
+    playBtn?.addEventListener("click", onPlay, { signal });
+
+    stage.addEventListener("pointerdown", onStagePointerDown, { signal });
+    stage.addEventListener("pointermove", onStagePointerMove, { signal });
+    stage.addEventListener("pointerup", endPointer, { signal });
+    stage.addEventListener("pointercancel", endPointer, { signal });
+    stage.addEventListener("wheel", onWheel, { passive: false, signal });
+
+    lb.addEventListener("pointerdown", onLightboxPointerDown, { signal });
+    lb.addEventListener("pointermove", onLightboxPointerMove, { signal });
+
+    syncPlayBtn();
+    return true;
+  };
+
+  // The page's own [data-lightbox] if it has one, else a fresh one
+  let bound = false;
+
+  const ensureLightbox = () => {
+    if (lb) return bound;
+
+    lb = document.querySelector("[data-lightbox]") || createLightbox();
+    bound = bindLightbox();
+    return bound;
+  };
+
+  // --- deep link on load -----------------------------------------------
+
+  const openFromHash = () => {
+    const target = targetFromHash();
+    const kiosk = params.get("slideshow") === "1";
+    if (target === null && !kiosk) return;
+
+    const name = target?.name ?? firstGroup();
+    const i = target?.i ?? 0;
+    const trigger = membersOf(name)[i];
+    if (!trigger) return;
+
+    // Plain page underneath, so Back closes the photo instead of leaving
+    history.replaceState(null, "", baseUrl());
+    open(name, i, trigger);
+
+    if (kiosk) startSlideshow();
+  };
+
+  // A data-driven gallery isn't ready yet: wait for its first render
+  if (document.querySelector("[data-gallery-src]")) {
+    document.addEventListener("el32:gallery-change", openFromHash, { once: true, signal });
+  } else {
+    openFromHash();
+  }
+
+  // --- API -------------------------------------------------------------
+
+  el32Api.expose("lightbox", {
+    // Group defaults to the one on screen, else the first on the page
+    open: (i = 0, name = isOpen ? group : firstGroup()) => {
+      const trigger = membersOf(name)[i];
+      if (!trigger) return false;
+      if (!isOpen) return open(name, i, trigger);
+
+      group = name;
+      setIndex(i);
+      return true;
+    },
+    close: () => close(),
+    next: () => {
+      if (isOpen) next();
+    },
+    prev: () => {
+      if (isOpen) prev();
+    },
+    get isOpen() {
+      return isOpen;
+    },
+    get index() {
+      return isOpen ? index : null;
+    },
+    get count() {
+      return isOpen ? tiles.length : membersOf(firstGroup()).length;
+    },
+    get group() {
+      return isOpen ? group : null;
+    },
+  }, { signal });
+}, { name: "lightbox" });
+
+/* =====================================================================
+   El 32 — Event Listings (Data-driven)
+   Purpose:
+   - Builds .event-card nodes from a local JSON feed (data/events.json)
+   - Drops past events automatically, sorts upcoming by start time
+   - Shows the grid OR the "Coming Soon" state
+   Feed shape:
+     { "timeZone": "America/New_York",       (optional, IANA name)
+       "events": [ {
+         "title": "…",
+         "description": "…",
+         "start": "2026-05-01T21:00:00-04:00",
+         "end": "2026-05-02T02:00:00-04:00",      (optional)
+         "image": "assets/images/events/….jpg",   (optional flyer)
+         "ticketUrl": "https://…"                 (optional)
+     } ] }
+   - title/description may also be { "en": "…", "es": "…" }
+   Add to calendar (per card):
+   - .ics download (RFC 5545, America/New_York VTIMEZONE; a feed in
+     any other zone is written as UTC), plus Google Calendar and
+     Outlook links
+   - Venue/address come from the page's BarOrPub JSON-LD
+   Structured data:
+   - Cards carry data-event-start / data-event-end (ISO, bar offset)
+   - One script[data-events-jsonld] in <head> lists a schema.org
+     Event per upcoming card (removed when nothing is upcoming)
+   Notes:
+   - Times are shown in the feed's timeZone (default: the bar's),
+     not the visitor's
+   - Re-renders in place when the site language changes
+   - Any fetch/parse failure leaves "Coming Soon" in place
+===================================================================== */
+el32Pages.mount((signal) => {
+  "use strict";
+
+  const wrap = document.querySelector("[data-events]");
+  const grid = wrap?.querySelector("[data-events-grid]");
+  const empty = document.querySelector("[data-events-empty]");
+  if (!wrap || !grid) return;
+
+  const src = wrap.getAttribute("data-events-src") || "data/events.json";
+
+  // Fallback when the feed doesn't name (or misspells) its zone
+  const TIME_ZONE = "America/New_York";
+
+  let timeZone = TIME_ZONE;
+
+  const validZone = (zone) => {
+    if (!zone || typeof zone !== "string") return false;
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: zone });
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  // Events without an end time stay listed for a typical night
+  const DEFAULT_LENGTH_MS = 4 * 60 * 60 * 1000;
+
+  const COPY = {
+    en: {
+      tickets: "Tickets",
+      calendar: "Add to calendar",
+      calendarFor: (title) => `Add ${title} to your calendar`,
+      ics: "Apple / .ics",
+      flyer: (title) => `View flyer: ${title}`,
+    },
+    es: {
+      tickets: "Boletos",
+      calendar: "Agregar al calendario",
+      calendarFor: (title) => `Agregar ${title} a tu calendario`,
+      ics: "Apple / .ics",
+      flyer: (title) => `Ver flyer: ${title}`,
+    },
+  };
+
+  const { lang, localize, el } = el32Content;
+
+  // --- helpers ---------------------------------------------------------
+
+  const parseDate = (value) => {
+    if (!value) return null;
+    const d = new Date(value);
+    return Number.isNaN(d.getTime()) ? null : d;
+  };
+
+  const normalize = (raw) => {
+    const start = parseDate(raw?.start);
+    if (!start || !raw.title) return null;
+
+    const end = parseDate(raw.end);
+
+    return {
+      title: raw.title,
+      description: raw.description || "",
+      start,
+      end: end && end > start ? end : null,
+      image: raw.image ? String(raw.image) : "",
+      ticketUrl: raw.ticketUrl ? String(raw.ticketUrl) : "",
+    };
+  };
+
+  const endsAt = (ev) =>
+    ev.end || new Date(ev.start.getTime() + DEFAULT_LENGTH_MS);
+
+  // Built on first use per zone + locale (the zone arrives with the feed)
+  const fmts = new Map();
+
+  const zoneFmt = (name, locale, options) => {
+    const key = `${timeZone} ${locale} ${name}`;
+
+    if (!fmts.has(key)) {
+      fmts.set(key, new Intl.DateTimeFormat(locale, { timeZone, ...options }));
+    }
+
+    return fmts.get(key);
+  };
+
+  const dayFmt = () =>
+    zoneFmt("day", `${lang()}-US`, {
+      weekday: "short",
+      month: "short",
+      day: "numeric",
+    });
+
+  const timeFmt = () =>
+    zoneFmt("time", "en-US", {
+      hour: "numeric",
+      minute: "2-digit",
+    });
+
+  // "9pm" / "9:30pm" (matches the hours list style)
+  const formatTime = (d) => {
+    const parts = timeFmt().formatToParts(d);
+    const get = (type) => parts.find((p) => p.type === type)?.value || "";
+    const minute = get("minute");
+    const period = get("dayPeriod").toLowerCase();
+    return `${get("hour")}${minute === "00" ? "" : `:${minute}`}${period}`;
+  };
+
+  const formatWhen = (ev) => {
+    const day = dayFmt().format(ev.start);
+    const from = formatTime(ev.start);
+    return ev.end ? `${day} · ${from}–${formatTime(ev.end)}` : `${day} · ${from}`;
+  };
+
+  // --- bar-time stamps -------------------------------------------------
+
+  const stampFmt = () =>
+    zoneFmt("stamp", "en-US", {
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      hourCycle: "h23",
+    });
+
+  const barParts = (d) => {
+    const p = Object.fromEntries(stampFmt().formatToParts(d).map((part) => [part.type, part.value]));
+    p.hour = String(Number(p.hour) % 24).padStart(2, "0"); // some engines say "24" at midnight
+    return p;
+  };
+
+  // 20260501T210000 (wall clock in the bar; paired with TZID)
+  const icsLocal = (d) => {
+    const p = barParts(d);
+    return `${p.year}${p.month}${p.day}T${p.hour}${p.minute}${p.second}`;
+  };
+
+  // Bar wall clock minus the instant. Worked out by hand: "longOffset"
+  // throws on Safari < 15.4 and older Chromium (and would hide the list)
+  const offsetOf = (d, p) => {
+    const wall = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+    const minutes = Math.round((wall - Math.floor(d.getTime() / 1000) * 1000) / 60000);
+    const abs = Math.abs(minutes);
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${minutes < 0 ? "-" : "+"}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+  };
+
+  // 2026-05-01T21:00:00-04:00
+  const isoLocal = (d) => {
+    const p = barParts(d);
+    return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}:${p.second}${offsetOf(d, p)}`;
+  };
+
+  // 20260502T010000Z
+  const utcStamp = (d) => d.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+  // --- venue (from the page's BarOrPub JSON-LD) --------------------------
+
+  const venue = el32Content.business() || { name: "El 32" };
+
+  const venueLine = () => {
+    const a = venue.address || {};
+    return [
+      venue.name,
+      a.streetAddress,
+      a.addressLocality,
+      [a.addressRegion, a.postalCode].filter(Boolean).join(" "),
+    ]
+      .filter(Boolean)
+      .join(", ");
+  };
+
+  const pageUrl = () =>
+    document.querySelector('link[rel="canonical"]')?.href || window.location.href.split(/[?#]/)[0];
+
+  const absolute = (path) => new URL(path, document.baseURI).href;
+
+  // --- calendar files + links -------------------------------------------
+
+  // US Eastern rules since 2007 (DST: 2nd Sunday of March → 1st of Nov).
+  // Only the default zone has rules here; other feed zones go out as UTC
+  const VTIMEZONE = [
+    "BEGIN:VTIMEZONE",
+    `TZID:${TIME_ZONE}`,
+    "BEGIN:DAYLIGHT",
+    "TZOFFSETFROM:-0500",
+    "TZOFFSETTO:-0400",
+    "TZNAME:EDT",
+    "DTSTART:19700308T020000",
+    "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU",
+    "END:DAYLIGHT",
+    "BEGIN:STANDARD",
+    "TZOFFSETFROM:-0400",
+    "TZOFFSETTO:-0500",
+    "TZNAME:EST",
+    "DTSTART:19701101T020000",
+    "RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU",
+    "END:STANDARD",
+    "END:VTIMEZONE",
+  ];
+
+  const icsText = (value) =>
+    String(value)
+      .replace(/\\/g, "\\\\")
+      .replace(/;/g, "\\;")
+      .replace(/,/g, "\\,")
+      .replace(/\r?\n/g, "\\n");
+
+  // Content lines fold at 75 octets (continuation starts with a space)
+  const encoder = new TextEncoder();
+
+  const fold = (line) => {
+    const out = [];
+    let chunk = "";
+    let octets = 0;
+
+    for (const ch of line) {
+      const size = encoder.encode(ch).length;
+      if (octets + size > 75) {
+        out.push(chunk);
+        chunk = " ";
+        octets = 1;
+      }
+      chunk += ch;
+      octets += size;
+    }
+
+    out.push(chunk);
+    return out.join("\r\n");
+  };
+
+  const slug = (ev) =>
+    localize(ev.title)
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || "event";
+
+  // DTSTART;TZID=America/New_York:20260501T210000, or DTSTART:…Z
+  const icsWhen = (prop, d) =>
+    timeZone === TIME_ZONE
+      ? `${prop};TZID=${TIME_ZONE}:${icsLocal(d)}`
+      : `${prop}:${utcStamp(d)}`;
+
+  const buildIcs = (ev) => {
+    const lines = [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//El 32//Events//EN",
+      "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH",
+      ...(timeZone === TIME_ZONE ? VTIMEZONE : []),
+      "BEGIN:VEVENT",
+      `UID:${utcStamp(ev.start)}-${slug(ev)}@el-32.com`,
+      `DTSTAMP:${utcStamp(new Date())}`,
+      icsWhen("DTSTART", ev.start),
+      icsWhen("DTEND", endsAt(ev)),
+      `SUMMARY:${icsText(localize(ev.title))}`,
+      ev.description ? `DESCRIPTION:${icsText(localize(ev.description))}` : "",
+      `LOCATION:${icsText(venueLine())}`,
+      `URL:${ev.ticketUrl || pageUrl()}`,
+      "END:VEVENT",
+      "END:VCALENDAR",
+    ];
+
+    return `${lines.filter(Boolean).map(fold).join("\r\n")}\r\n`;
+  };
+
+  const googleUrl = (ev) => {
+    const url = new URL("https://calendar.google.com/calendar/render");
+    url.search = new URLSearchParams({
+      action: "TEMPLATE",
+      text: localize(ev.title),
+      dates: `${utcStamp(ev.start)}/${utcStamp(endsAt(ev))}`,
+      ctz: timeZone,
+      details: localize(ev.description),
+      location: venueLine(),
+    }).toString();
+    return url.href;
+  };
+
+  const outlookUrl = (ev) => {
+    const url = new URL("https://outlook.live.com/calendar/0/deeplink/compose");
+    url.search = new URLSearchParams({
+      path: "/calendar/action/compose",
+      rru: "addevent",
+      subject: localize(ev.title),
+      startdt: ev.start.toISOString(),
+      enddt: endsAt(ev).toISOString(),
+      body: localize(ev.description),
+      location: venueLine(),
+    }).toString();
+    return url.href;
+  };
+
+  const calendarLink = (text, href) => {
+    const link = el("a", "event-card__cal-link", text);
+    link.href = href;
+    return link;
+  };
+
+  const buildCalendar = (ev) => {
+    const t = COPY[lang()];
+
+    const group = el("div", "event-card__cal");
+    group.setAttribute("role", "group");
+    group.setAttribute("aria-label", t.calendarFor(localize(ev.title)));
+    group.appendChild(el("span", "event-card__cal-label", t.calendar));
+
+    // data: URL (not a blob) so iOS hands it straight to Calendar
+    const ics = calendarLink(
+      t.ics,
+      `data:text/calendar;charset=utf-8,${encodeURIComponent(buildIcs(ev))}`
+    );
+    ics.download = `el-32-${slug(ev)}.ics`;
+    group.appendChild(ics);
+
+    [
+      ["Google", googleUrl(ev)],
+      ["Outlook", outlookUrl(ev)],
+    ].forEach(([text, href]) => {
+      const link = calendarLink(text, href);
+      link.target = "_blank";
+      link.rel = "noopener noreferrer";
+      group.appendChild(link);
+    });
+
+    return group;
+  };
+
+  // --- JSON-LD ---------------------------------------------------------
+
+  const buildEventLd = (ev) => {
+    const entry = {
+      "@type": "Event",
+      name: localize(ev.title),
+      startDate: isoLocal(ev.start),
+      endDate: isoLocal(endsAt(ev)),
+      eventStatus: "https://schema.org/EventScheduled",
+      eventAttendanceMode: "https://schema.org/OfflineEventAttendanceMode",
+      location: {
+        "@type": "Place",
+        name: venue.name || "El 32",
+        address: venue.address,
+      },
+      organizer: {
+        "@type": "Organization",
+        name: venue.name || "El 32",
+        url: venue.url || absolute("./"),
+      },
+      url: pageUrl(),
+    };
+
+    if (ev.description) entry.description = localize(ev.description);
+    if (ev.image) entry.image = absolute(ev.image);
+    if (ev.ticketUrl) entry.offers = { "@type": "Offer", url: ev.ticketUrl };
+
+    return entry;
+  };
+
+  const writeJsonLd = (events) => {
+    let script = document.querySelector("script[data-events-jsonld]");
+
+    if (events.length === 0) {
+      script?.remove();
+      return;
+    }
+
+    if (!script) {
+      script = document.createElement("script");
+      script.type = "application/ld+json";
+      script.setAttribute("data-events-jsonld", "");
+      document.head.appendChild(script);
+    }
+
+    script.textContent = JSON.stringify({
+      "@context": "https://schema.org",
+      "@graph": events.map(buildEventLd),
+    });
+  };
+
+  // --- card markup (mirrors the original hand-written template) ---------
+
+  const buildCard = (ev) => {
+    const card = el("article", "event-card");
+    card.setAttribute("data-reveal-item", "");
+    card.dataset.eventStart = isoLocal(ev.start);
+    card.dataset.eventEnd = isoLocal(endsAt(ev));
+
+    if (ev.image) {
+      const media = el("div", "event-card__media");
+
+      // Flyers open in the lightbox (one group for the whole list)
+      const btn = el("button", "gallery-btn");
+      btn.type = "button";
+      btn.setAttribute("data-gallery", "events");
+      btn.setAttribute("data-caption", localize(ev.title));
+      btn.setAttribute("aria-label", COPY[lang()].flyer(localize(ev.title)));
+
+      const picture = document.createElement("picture");
+      const img = document.createElement("img");
+      img.src = ev.image;
+      img.alt = "";
+      img.loading = "lazy";
+      img.decoding = "async";
+      img.width = 1600;
+      img.height = 1000;
+
+      picture.appendChild(img);
+      btn.appendChild(picture);
+      media.appendChild(btn);
+      card.appendChild(media);
+    } else {
+      card.classList.add("event-card--text");
+    }
+
+    const body = el("div", "event-card__body");
+    body.appendChild(el("h2", "event-card__title", localize(ev.title)));
+
+    const when = el("p", "event-card__when");
+    const time = el("time", "", formatWhen(ev));
+    time.dateTime = ev.start.toISOString();
+    when.appendChild(time);
+    body.appendChild(when);
+
+    if (ev.description) {
+      body.appendChild(el("p", "event-card__desc", localize(ev.description)));
+    }
+
+    if (ev.ticketUrl) {
+      const link = el("a", "event-card__link", COPY[lang()].tickets);
+      link.href = ev.ticketUrl;
+      link.target = "_blank";
+      link.rel = "noopener noreferrer";
+      body.appendChild(link);
+    }
+
+    body.appendChild(buildCalendar(ev));
+
+    card.appendChild(body);
+    return card;
+  };
+
+  // --- render ----------------------------------------------------------
+
+  const showList = (hasEvents) => {
+    wrap.hidden = !hasEvents;
+    if (empty) empty.hidden = hasEvents;
+  };
+
+  let feed = null;
+
+  const render = ({ animate }) => {
+    const now = new Date();
+
+    const upcoming = feed
+      .map(normalize)
+      .filter((ev) => ev && endsAt(ev) > now)
+      .sort((a, b) => a.start - b.start);
+
+    const cards = upcoming.map(buildCard);
+
+    // Language re-renders keep cards in place (no second load-in)
+    if (!animate) cards.forEach((card) => card.classList.add("is-in"));
+
+    grid.replaceChildren(...cards);
+    showList(upcoming.length > 0);
+    writeJsonLd(upcoming);
+  };
+
+  fetch(src, { cache: "no-cache", signal })
+    .then((res) => {
+      if (!res.ok) throw new Error(`Events feed: ${res.status}`);
+      return res.json();
+    })
+    .then((data) => {
+      const list = Array.isArray(data) ? data : data?.events;
+      timeZone = validZone(data?.timeZone) ? data.timeZone : TIME_ZONE;
+      feed = Array.isArray(list) ? list : [];
+      render({ animate: true });
+    })
+    .catch(() => {
+      // A re-run took over (signal aborted): leave the list to it
+      if (!signal.aborted) showList(false);
+    });
+
+  el32Env.lang.subscribe(() => {
+    if (feed) render({ animate: false });
+  }, { signal });
+}, { name: "events", roots: "[data-events]" });
+
+/* =====================================================================
+   El 32 — Open Status (Hours)
+   Purpose:
+   - Reads openingHoursSpecification from the page's BarOrPub JSON-LD
+   - Computes "Open now · closes 2am" / "Opens Wed 8pm" in bar time
+     (America/New_York), whatever the visitor's own timezone
+   - Highlights today's row in dl.hours
+   - Re-renders itself when the status crosses an open/close boundary
+   Notes:
+   - Closing times after midnight belong to the previous day's shift
+     (1am Sunday still counts as Saturday night)
+   - Everything works in "minutes since Sunday 00:00" (bar time)
+===================================================================== */
+el32Pages.mount((signal) => {
+  "use strict";
+
+  const badges = Array.from(document.querySelectorAll("[data-open-status]"));
+  const rows = Array.from(document.querySelectorAll(".hours__row[data-day]"));
+  if (badges.length === 0 && rows.length === 0) return;
+
+  const TIME_ZONE = "America/New_York";
+
+  const DAY = 24 * 60;
+  const WEEK = 7 * DAY;
+
+  // Never sleep longer than this (covers DST shifts + clock drift)
+  const MAX_WAIT_MS = 60 * 60 * 1000;
+
+  const { DAYS } = el32Content;
+  const SHORT_DAYS = DAYS.map((d) => d.slice(0, 3));
+
+  // Badge copy per site language (see Site Language section)
+  const COPY = {
+    en: {
+      open: (time) => `Open now · closes ${time}`,
+      opens: (day, time) => `Opens ${day} ${time}`,
+      today: "today",
+      days: SHORT_DAYS,
+    },
+    es: {
+      open: (time) => `Abierto ahora · cierra ${time}`,
+      opens: (day, time) => `Abre ${day} ${time}`,
+      today: "hoy",
+      days: ["dom", "lun", "mar", "mié", "jue", "vie", "sáb"],
+    },
+  };
+
+  // --- published hours -------------------------------------------------
+
+  // One entry per day: { day, opens, closes, start, end } (week minutes)
+  const shifts = el32Content
+    .openingHours()
+    .map(({ day, opens, closes, length }) => {
+      const start = day * DAY + opens;
+      return { day, opens, closes, start, end: start + length };
+    })
+    .sort((a, b) => a.start - b.start);
+  if (shifts.length === 0) return;
+
+  // --- bar clock -------------------------------------------------------
+
+  const barClock = new Intl.DateTimeFormat("en-US", {
+    timeZone: TIME_ZONE,
+    weekday: "short",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+    hourCycle: "h23",
+  });
+
+  const nowInBar = () => {
+    const parts = barClock.formatToParts(new Date());
+    const get = (type) => parts.find((p) => p.type === type)?.value;
+
+    const day = SHORT_DAYS.indexOf(get("weekday"));
+    const hour = Number(get("hour")) % 24; // some engines say "24" at midnight
+
+    return {
+      day,
+      minute: day * DAY + hour * 60 + Number(get("minute")),
+      second: Number(get("second")),
+    };
+  };
+
+  // { open, shift, minutesLeft } — minutesLeft until the next boundary
+  const getStatus = (now) => {
+    for (const shift of shifts) {
+      // Saturday's shift wraps past the end of the week into Sunday
+      for (const t of [now.minute, now.minute + WEEK]) {
+        if (t >= shift.start && t < shift.end) {
+          return { open: true, shift, minutesLeft: shift.end - t };
+        }
+      }
+    }
+
+    let next = null;
+    let wait = Infinity;
+
+    shifts.forEach((shift) => {
+      const w = (shift.start - now.minute + WEEK) % WEEK;
+      if (w < wait) {
+        wait = w;
+        next = shift;
+      }
+    });
+
+    return { open: false, shift: next, minutesLeft: wait };
+  };
+
+  // 1200 -> "8pm", 120 -> "2am", 1230 -> "8:30pm"
+  const formatClock = (mins) => {
+    const h = Math.floor(mins / 60) % 24;
+    const m = mins % 60;
+    const suffix = h < 12 ? "am" : "pm";
+    const h12 = h % 12 === 0 ? 12 : h % 12;
+    return `${h12}${m ? `:${String(m).padStart(2, "0")}` : ""}${suffix}`;
+  };
+
+  const describe = (status, now) => {
+    const copy = COPY[el32Content.lang()];
+    const { shift } = status;
+
+    if (status.open) return copy.open(formatClock(shift.closes));
+
+    const day = shift.day === now.day ? copy.today : copy.days[shift.day];
+    return copy.opens(day, formatClock(shift.opens));
+  };
+
+  // --- render ----------------------------------------------------------
+
+  const render = (status, now) => {
+    const text = describe(status, now);
+
+    badges.forEach((badge) => {
+      badge.dataset.state = status.open ? "open" : "closed";
+      badge.replaceChildren();
+
+      const dot = document.createElement("span");
+      dot.className = "open-status__dot";
+      dot.setAttribute("aria-hidden", "true");
+
+      const label = document.createElement("span");
+      label.className = "open-status__text";
+      label.textContent = text;
+
+      badge.append(dot, label);
+      badge.hidden = false;
+    });
+
+    // Tonight's shift owns the early-morning hours
+    const today = DAYS[status.open ? status.shift.day : now.day];
+
+    rows.forEach((row) => {
+      const isToday = row.dataset.day === today;
+      row.classList.toggle("is-today", isToday);
+      if (isToday) row.setAttribute("aria-current", "date");
+      else row.removeAttribute("aria-current");
+    });
+  };
+
+  let timer = null;
+
+  const update = () => {
+    window.clearTimeout(timer);
+
+    const now = nowInBar();
+    if (now.day < 0) return;
+
+    const status = getStatus(now);
+    render(status, now);
+
+    // Wake just after the next open/close boundary
+    const waitMs = (status.minutesLeft * 60 - now.second + 1) * 1000;
+    timer = window.setTimeout(update, Math.min(waitMs, MAX_WAIT_MS));
+  };
+
+  update();
+  signal.addEventListener("abort", () => window.clearTimeout(timer));
+
+  // Timers are throttled in background tabs; re-sync on return
+  document.addEventListener("visibilitychange", () => {
+    if (!document.hidden) update();
+  }, { signal });
+
+  el32Env.lang.subscribe(update, { signal });
+}, { name: "hours", roots: "[data-open-status], .hours__row[data-day]" });
+
+/* =====================================================================
+   El 32 — Menu (Data-driven)
+   Purpose:
+   - Renders .menu-card nodes from a structured file (data/menu.json)
+   - Category + dietary filter chips and a text search over the cards
+   - Emits schema.org Menu/MenuItem JSON-LD matching what is shown
+   Data shape:
+     { "currency": "USD", "categories": [ {
+         "id": "food", "name": { "en": "Food", "es": "Comida" },
+         "items": [ {
+           "id": "fire-burger", "name": "Fire Burger",
+           "description": { "en": "…", "es": "…" },
+           "price": 14,                (optional)
+           "spice": 0-3,               (optional)
+           "tags": ["vegetarian"],     (vegetarian | vegan | gluten-free)
+           "image": "assets/images/….jpg" (optional)
+         } ]
+     } ] }
+   Notes:
+   - Text fields may be plain strings or { en, es }
+   - Empty categories get no chip (and no JSON-LD section)
+   - Fetch failure leaves the hand-written cards in place
+===================================================================== */
+el32Pages.mount((signal) => {
+  "use strict";
+
+  const grid = document.querySelector("[data-menu-grid]");
+  if (!grid) return;
+
+  const src = grid.getAttribute("data-menu-src") || "data/menu.json";
+
+  const tools = document.querySelector("[data-menu-tools]");
+  const search = document.querySelector("[data-menu-search]");
+  const chipsBox = document.querySelector("[data-menu-chips]");
+  const emptyNote = document.querySelector("[data-menu-empty]");
+
+  const DIETS = {
+    vegetarian: "https://schema.org/VegetarianDiet",
+    vegan: "https://schema.org/VeganDiet",
+    "gluten-free": "https://schema.org/GlutenFreeDiet",
+  };
+
+  const COPY = {
+    en: {
+      all: "All",
+      spicy: "Spicy",
+      tags: {
+        vegetarian: "Vegetarian",
+        vegan: "Vegan",
+        "gluten-free": "Gluten-free",
+      },
+      spiceLevel: (n) => `Spice level ${n} of 3`,
+      viewPhoto: (name) => `View photo: ${name}`,
+    },
+    es: {
+      all: "Todo",
+      spicy: "Picante",
+      tags: {
+        vegetarian: "Vegetariano",
+        vegan: "Vegano",
+        "gluten-free": "Sin gluten",
+      },
+      spiceLevel: (n) => `Nivel de picante ${n} de 3`,
+      viewPhoto: (name) => `Ver foto: ${name}`,
+    },
+  };
+
+  let menu = null;
+
+  // Active filters survive language re-renders
+  const state = { category: "all", tags: new Set(), query: "" };
+
+  // --- helpers ---------------------------------------------------------
+
+  const { lang, localize, el } = el32Content;
+  const copy = () => COPY[lang()];
+
+  // Lowercase + strip accents so "jalapeno" finds "jalapeños"
+  const fold = (text) =>
+    String(text)
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase();
+
+  const formatPrice = (price) =>
+    new Intl.NumberFormat(`${lang()}-US`, {
+      style: "currency",
+      currency: menu.currency || "USD",
+      minimumFractionDigits: Number.isInteger(price) ? 0 : 2,
+    }).format(price);
+
+  const hasPrice = (item) => typeof item.price === "number";
+
+  const tagsOf = (item) => {
+    const tags = Array.isArray(item.tags) ? item.tags.slice() : [];
+    if (item.spice > 0) tags.push("spicy");
+    return tags;
+  };
+
+  // --- cards -----------------------------------------------------------
+
+  const buildCard = (item, category) => {
+    const card = el("article", "menu-card");
+    card.setAttribute("data-reveal-item", "");
+    card.dataset.category = category.id;
+    card.dataset.tags = tagsOf(item).join(" ");
+
+    // Search both languages: bilingual guests type either
+    card.dataset.search = fold(
+      [
+        item.name,
+        localize(item.name, "en"),
+        localize(item.name, "es"),
+        localize(item.description, "en"),
+        localize(item.description, "es"),
+        localize(category.name, "en"),
+        localize(category.name, "es"),
+        ...tagsOf(item).map((t) => COPY.en.tags[t] || COPY.en.spicy),
+        ...tagsOf(item).map((t) => COPY.es.tags[t] || COPY.es.spicy),
+      ]
+        .filter((v) => typeof v === "string")
+        .join(" ")
+    );
+
+    if (item.image) {
+      const media = el("div", "menu-card__media");
+
+      // Dish photos open in the lightbox (one group for the whole menu)
+      const btn = el("button", "gallery-btn");
+      btn.type = "button";
+      btn.setAttribute("data-gallery", "menu");
+      btn.setAttribute("data-caption", localize(item.name));
+      btn.setAttribute("aria-label", copy().viewPhoto(localize(item.name)));
+
+      const picture = document.createElement("picture");
+      const img = document.createElement("img");
+      img.src = item.image;
+      img.alt = "";
+      img.loading = "lazy";
+      img.decoding = "async";
+      img.width = 1600;
+      img.height = 1000;
+
+      picture.appendChild(img);
+      btn.appendChild(picture);
+      media.appendChild(btn);
+      card.appendChild(media);
+    } else {
+      card.classList.add("menu-card--text");
+    }
+
+    const body = el("div", "menu-card__body");
+
+    const head = el("div", "menu-card__head");
+    head.appendChild(el("h2", "menu-card__name", localize(item.name)));
+    if (hasPrice(item)) {
+      head.appendChild(el("p", "menu-card__price", formatPrice(item.price)));
+    }
+    body.appendChild(head);
+
+    if (item.description) {
+      body.appendChild(el("p", "menu-card__desc", localize(item.description)));
+    }
+
+    const meta = el("ul", "menu-card__tags");
+    meta.setAttribute("role", "list");
+
+    if (item.spice > 0) {
+      const spice = el("li", "menu-card__tag menu-card__tag--spice");
+      spice.dataset.level = String(Math.min(3, item.spice));
+      spice.setAttribute("aria-label", copy().spiceLevel(Math.min(3, item.spice)));
+      spice.textContent = `${copy().spicy} ${"●".repeat(Math.min(3, item.spice))}`;
+      meta.appendChild(spice);
+    }
+
+    (item.tags || []).forEach((t) => {
+      if (copy().tags[t]) meta.appendChild(el("li", "menu-card__tag", copy().tags[t]));
+    });
+
+    if (meta.children.length > 0) body.appendChild(meta);
+
+    card.appendChild(body);
+    return card;
+  };
+
+  // --- chips -----------------------------------------------------------
+
+  const chip = (label, kind, value) => {
+    const btn = el("button", "menu-chip", label);
+    btn.type = "button";
+    btn.dataset.kind = kind;
+    btn.dataset.value = value;
+    return btn;
+  };
+
+  const buildChips = (categories) => {
+    if (!chipsBox) return;
+
+    const usedTags = new Set();
+    categories.forEach((c) =>
+      c.items.forEach((item) => tagsOf(item).forEach((t) => usedTags.add(t)))
+    );
+
+    const chips = [chip(copy().all, "category", "all")];
+
+    // A single category needs no category chips beyond "All"
+    if (categories.length > 1) {
+      categories.forEach((c) => chips.push(chip(localize(c.name), "category", c.id)));
+    }
+
+    Object.keys(copy().tags)
+      .concat("spicy")
+      .filter((t) => usedTags.has(t))
+      .forEach((t) => chips.push(chip(copy().tags[t] || copy().spicy, "tag", t)));
+
+    chipsBox.replaceChildren(...chips);
+  };
+
+  const syncChips = () => {
+    chipsBox?.querySelectorAll(".menu-chip").forEach((btn) => {
+      const on =
+        btn.dataset.kind === "category"
+          ? btn.dataset.value === state.category
+          : state.tags.has(btn.dataset.value);
+      btn.setAttribute("aria-pressed", on ? "true" : "false");
+    });
+  };
+
+  // --- filtering -------------------------------------------------------
+
+  const applyFilters = () => {
+    const terms = fold(state.query).split(/\s+/).filter(Boolean);
+    let shown = 0;
+
+    grid.querySelectorAll(".menu-card").forEach((card) => {
+      const cardTags = (card.dataset.tags || "").split(" ");
+
+      const visible =
+        (state.category === "all" || card.dataset.category === state.category) &&
+        Array.from(state.tags).every((t) => cardTags.includes(t)) &&
+        terms.every((term) => (card.dataset.search || "").includes(term));
+
+      card.hidden = !visible;
+      if (visible) shown += 1;
+    });
+
+    if (emptyNote) emptyNote.hidden = shown > 0;
+    syncChips();
+  };
+
+  chipsBox?.addEventListener("click", (e) => {
+    const btn = e.target.closest?.(".menu-chip");
+    if (!btn) return;
+
+    if (btn.dataset.kind === "category") {
+      state.category = btn.dataset.value;
+    } else if (state.tags.has(btn.dataset.value)) {
+      state.tags.delete(btn.dataset.value);
+    } else {
+      state.tags.add(btn.dataset.value);
+    }
+
+    applyFilters();
+  }, { signal });
+
+  search?.addEventListener("input", () => {
+    state.query = search.value;
+    applyFilters();
+  }, { signal });
+
+  // --- JSON-LD ---------------------------------------------------------
+
+  const absolute = (path) => new URL(path, document.baseURI).href;
+
+  const buildJsonLd = (categories) => {
+    const canonical = document.querySelector('link[rel="canonical"]')?.href;
+
+    return {
+      "@context": "https://schema.org",
+      "@type": "Menu",
+      name: localize(menu.name) || "El 32 Menu",
+      url: canonical || window.location.href.split(/[?#]/)[0],
+      inLanguage: lang(),
+      hasMenuSection: categories.map((c) => ({
+        "@type": "MenuSection",
+        name: localize(c.name),
+        hasMenuItem: c.items.map((item) => {
+          const entry = {
+            "@type": "MenuItem",
+            name: localize(item.name),
+            description: localize(item.description),
+          };
+
+          if (item.image) entry.image = absolute(item.image);
+
+          if (hasPrice(item)) {
+            entry.offers = {
+              "@type": "Offer",
+              price: item.price.toFixed(2),
+              priceCurrency: menu.currency || "USD",
+            };
+          }
+
+          const diets = (item.tags || []).map((t) => DIETS[t]).filter(Boolean);
+          if (diets.length > 0) entry.suitableForDiet = diets;
+
+          return entry;
+        }),
+      })),
+    };
+  };
+
+  const writeJsonLd = (categories) => {
+    let script = document.querySelector("script[data-menu-jsonld]");
+
+    if (!script) {
+      script = document.createElement("script");
+      script.type = "application/ld+json";
+      script.setAttribute("data-menu-jsonld", "");
+      document.head.appendChild(script);
+    }
+
+    script.textContent = JSON.stringify(buildJsonLd(categories));
+  };
+
+  // --- render ----------------------------------------------------------
+
+  const render = ({ animate }) => {
+    const categories = (menu.categories || [])
+      .map((c) => ({ ...c, items: Array.isArray(c.items) ? c.items : [] }))
+      .filter((c) => c.id && c.items.length > 0);
+
+    if (categories.length === 0) return;
+
+    const cards = [];
+    categories.forEach((c) =>
+      c.items.forEach((item) => {
+        if (item?.name) cards.push(buildCard(item, c));
+      })
+    );
+
+    // Language re-renders keep cards in place (no second load-in)
+    if (!animate) cards.forEach((card) => card.classList.add("is-in"));
+
+    grid.replaceChildren(...cards);
+
+    buildChips(categories);
+    if (tools) tools.hidden = false;
+
+    // Drop a filter that no longer has a chip
+    if (!categories.some((c) => c.id === state.category)) state.category = "all";
+
+    applyFilters();
+    writeJsonLd(categories);
+  };
+
+  fetch(src, { cache: "no-cache", signal })
+    .then((res) => {
+      if (!res.ok) throw new Error(`Menu data: ${res.status}`);
+      return res.json();
+    })
+    .then((data) => {
+      if (!data || !Array.isArray(data.categories)) return;
+      menu = data;
+      render({ animate: true });
+    })
+    .catch(() => {
+      // Keep the static fallback cards
+    });
+
+  el32Env.lang.subscribe(() => {
+    if (menu) render({ animate: false });
+  }, { signal });
+}, { name: "menu-list", roots: "[data-menu-grid]" });
+
+/* =====================================================================
+   El 32 — Contact Form (In-page Submit)
+   Purpose:
+   - Inline, bilingual field validation (replaces the browser bubbles)
+   - Submits with fetch and shows pending / success / failure in place
+   - Failures keep what the guest typed so they can just retry
+   Notes:
+   - Without JS the form is a plain POST with the Web3Forms redirect
+     back to contact.html?sent=1 (still handled below)
+   - Honeypot filled = silently "succeed" without sending
+   - Analytics: form-start / form-submit / form-success / form-failure
+     (reason only, never field values)
+   - Endpoint: data-endpoint on the form, else the form action.
+     On localhost, ?endpoint=… overrides both (see tools/form-stub.js)
+===================================================================== */
+el32Pages.mount((signal) => {
+  "use strict";
+
+  const successNote = document.querySelector("[data-form-success]");
+
+  // Plain POST fallback lands back here with ?sent=1
+  if (successNote && new URLSearchParams(window.location.search).get("sent") === "1") {
+    successNote.hidden = false;
+  }
+
+  const form = document.querySelector("[data-contact-form]");
+  if (!form || !window.fetch || !window.FormData) return;
+
+  const statusNote = form.querySelector("[data-form-status]");
+  const submitBtn = form.querySelector('[type="submit"]');
+  const honeypot = form.querySelector(".hp-field");
+
+  const REQUEST_TIMEOUT_MS = 20000;
+  const FORM_NAME = "contact";
+
+  const COPY = {
+    en: {
+      name: { valueMissing: "Please tell us your name." },
+      email: {
+        valueMissing: "We need an email to reply to.",
+        typeMismatch: "That email doesn’t look right.",
+      },
+      message: { valueMissing: "Write us a message first." },
+      captcha: "Please complete the captcha.",
+      pending: "Sending…",
+      offline: "We couldn’t reach the server. Check your connection and try again.",
+      failed: (reason) => `Message not sent: ${reason} Your message is still here — try again.`,
+      unknown: "Something went wrong.",
+    },
+    es: {
+      name: { valueMissing: "Dinos tu nombre." },
+      email: {
+        valueMissing: "Necesitamos un correo para responderte.",
+        typeMismatch: "Ese correo no parece válido.",
+      },
+      message: { valueMissing: "Escríbenos un mensaje primero." },
+      captcha: "Completa el captcha, por favor.",
+      pending: "Enviando…",
+      offline: "No pudimos conectar con el servidor. Revisa tu conexión e inténtalo de nuevo.",
+      failed: (reason) =>
+        `Mensaje no enviado: ${reason} Tu mensaje sigue aquí — inténtalo de nuevo.`,
+      unknown: "Algo salió mal.",
+    },
+  };
+
+  // We render our own messages; keep constraint attributes for the API
+  form.noValidate = true;
+
+  let pending = false;
+  let attempted = false;
+
+  // Last status shown, so a language switch can re-render it
+  let status = null;
+
+  // --- helpers ---------------------------------------------------------
+
+  const { lang } = el32Content;
+  const copy = () => COPY[lang()];
+
+  const resolveEndpoint = () => {
+    const override = el32Site.devOverride("endpoint");
+    if (override) return new URL(override, window.location.href).href;
+    return form.getAttribute("data-endpoint") || form.action;
+  };
+
+  // --- field errors ----------------------------------------------------
+
+  const controls = Array.from(form.querySelectorAll(".field__control[name]"));
+
+  const errorFor = (control) => {
+    const id = `${form.id || "contact"}-${control.name}-error`;
+    let node = document.getElementById(id);
+
+    if (!node) {
+      node = document.createElement("span");
+      node.className = "field__error";
+      node.id = id;
+      node.hidden = true;
+      control.insertAdjacentElement("afterend", node);
+
+      const describedBy = control.getAttribute("aria-describedby");
+      control.setAttribute("aria-describedby", describedBy ? `${describedBy} ${id}` : id);
+    }
+
+    return node;
+  };
+
+  // Returns the failing validity flag ("valueMissing", …) or null
+  const problemWith = (control) => {
+    if (control.required && control.value.trim() === "") return "valueMissing";
+    if (control.validity?.typeMismatch) return "typeMismatch";
+    return null;
+  };
+
+  const showFieldError = (control) => {
+    const problem = problemWith(control);
+    const node = errorFor(control);
+    const text = problem ? copy()[control.name]?.[problem] : "";
+
+    node.textContent = text || "";
+    node.hidden = !problem;
+
+    if (problem) control.setAttribute("aria-invalid", "true");
+    else control.removeAttribute("aria-invalid");
+
+    return !problem;
+  };
+
+  const validate = () => {
+    const invalid = controls.filter((control) => !showFieldError(control));
+    invalid[0]?.focus();
+    return invalid.length === 0;
+  };
+
+  // hCaptcha injects its token field once the widget has rendered
+  const captchaMissing = () => {
+    const token = form.querySelector('[name="h-captcha-response"]');
+    return !!token && token.value.trim() === "";
+  };
+
+  // Errors appear on submit, then update live as the guest fixes them
+  controls.forEach((control) => {
+    control.addEventListener("input", () => {
+      if (attempted) showFieldError(control);
+    }, { signal });
+    control.addEventListener("blur", () => {
+      if (attempted) showFieldError(control);
+    }, { signal });
+  });
+
+  // --- status ----------------------------------------------------------
+
+  const renderStatus = () => {
+    if (!statusNote) return;
+
+    if (!status) {
+      statusNote.hidden = true;
+      statusNote.textContent = "";
+      statusNote.classList.remove("form-status--error");
+      return;
+    }
+
+    const text =
+      status.type === "failed"
+        ? copy().failed(status.reason || copy().unknown)
+        : copy()[status.type];
+
+    statusNote.textContent = text;
+    statusNote.classList.toggle("form-status--error", status.type !== "pending");
+    statusNote.setAttribute("role", status.type === "pending" ? "status" : "alert");
+    statusNote.hidden = false;
+  };
+
+  const setStatus = (next) => {
+    status = next;
+    renderStatus();
+  };
+
+  const setPending = (on) => {
+    pending = on;
+    form.setAttribute("aria-busy", on ? "true" : "false");
+    if (submitBtn) submitBtn.disabled = on;
+    if (on) setStatus({ type: "pending" });
+  };
+
+  const showSuccess = () => {
+    setStatus(null);
+    attempted = false;
+    form.reset();
+    controls.forEach((control) => {
+      errorFor(control).hidden = true;
+      control.removeAttribute("aria-invalid");
+    });
+
+    if (successNote) {
+      successNote.hidden = false;
+      successNote.focus();
+    }
+  };
+
+  // --- submit ----------------------------------------------------------
+
+  const send = () => {
+    const data = new FormData(form);
+
+    // The redirect is only for the no-JS POST; fetch wants JSON back
+    data.delete("redirect");
+
+    const controller = window.AbortController ? new AbortController() : null;
+    const timer = controller
+      ? window.setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS)
+      : 0;
+
+    setPending(true);
+    el32Analytics.track("form-submit", { form: FORM_NAME });
+
+    fetch(resolveEndpoint(), {
+      method: "POST",
+      body: data,
+      headers: { Accept: "application/json" },
+      signal: controller?.signal,
+    })
+      .then((res) =>
+        res
+          .json()
+          .catch(() => null)
+          .then((json) => ({ res, json }))
+      )
+      .then(({ res, json }) => {
+        if (res.ok && json?.success !== false) {
+          showSuccess();
+          el32Analytics.track("form-success", { form: FORM_NAME });
+          return;
+        }
+        setStatus({ type: "failed", reason: json?.message || `HTTP ${res.status}` });
+        el32Analytics.track("form-failure", { form: FORM_NAME, reason: "server" });
+      })
+      .catch(() => {
+        setStatus({ type: "offline" });
+        el32Analytics.track("form-failure", { form: FORM_NAME, reason: "offline" });
+      })
+      .finally(() => {
+        window.clearTimeout(timer);
+        setPending(false);
+
+        // Captcha tokens are single-use either way
+        window.hcaptcha?.reset?.();
+      });
+  };
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    if (pending) return;
+
+    attempted = true;
+    if (successNote) successNote.hidden = true;
+
+    if (!validate()) {
+      setStatus(null);
+      el32Analytics.track("form-failure", { form: FORM_NAME, reason: "invalid" });
+      return;
+    }
+
+    // Bots fill every field; act as if it worked and send nothing
+    if (honeypot && honeypot.value !== "") {
+      showSuccess();
+      return;
+    }
+
+    if (captchaMissing()) {
+      setStatus({ type: "captcha" });
+      return;
+    }
+
+    send();
+  }, { signal });
+
+  // Started vs. submitted = how many guests give up half-way
+  form.addEventListener("input", () => {
+    el32Analytics.track("form-start", { form: FORM_NAME });
+  }, { once: true, signal });
+
+  el32Env.lang.subscribe(() => {
+    renderStatus();
+    controls.forEach((control) => {
+      if (!errorFor(control).hidden) showFieldError(control);
+    });
+  }, { signal });
+}, { name: "contact", roots: "[data-contact-form]" });
+
+/* =====================================================================
+   El 32 — Booking Wizard (Party Page)
+   Purpose:
+   - Private party / table requests in steps (when → group → package →
+     contact → review) instead of back-and-forth over email
+   - Only nights + arrival times inside the published hours (the page's
+     openingHoursSpecification JSON-LD) can be picked
+   - Running estimate from the package data-* prices, and a summary of
+     every answer before anything is sent
+   - Progress (step + answers) survives a reload: sessionStorage, this
+     tab only, cleared once the request is sent
+   Markup:
+   - [data-booking-step] fieldsets, in order; the last one is the review
+   - Package radios: data-base, data-per-guest, data-bottle (USD)
+   Notes:
+   - Sends like the contact form: data-endpoint, else the form action;
+     ?endpoint=… overrides both on localhost (see tools/form-stub.js)
+   - Without JS every step shows at once and the form is a plain POST
+     (Web3Forms redirects back with ?booked=1)
+   - An arrival after midnight belongs to the night picked
+     (Friday + 12:30am = early Saturday)
+   - Analytics: same form-* events as the contact form (form: "booking")
+===================================================================== */
+el32Pages.mount((signal) => {
+  "use strict";
+
+  const successNote = document.querySelector("[data-booking-success]");
+
+  // Plain POST fallback lands back here with ?booked=1
+  if (successNote && new URLSearchParams(window.location.search).get("booked") === "1") {
+    successNote.hidden = false;
+  }
+
+  const form = document.querySelector("[data-booking-form]");
+  if (!form || !window.fetch || !window.FormData) return;
+
+  const steps = Array.from(form.querySelectorAll("[data-booking-step]"));
+  if (steps.length === 0) return;
+
+  const progressList = form.querySelector("[data-booking-progress]");
+  const counter = form.querySelector("[data-booking-count]");
+  const summary = form.querySelector("[data-booking-summary]");
+  const estimateNote = form.querySelector("[data-booking-estimate]");
+  const bottlesField = form.querySelector("[data-booking-bottles]");
+  const statusNote = form.querySelector("[data-form-status]");
+  const backBtn = form.querySelector("[data-booking-back]");
+  const nextBtn = form.querySelector("[data-booking-next]");
+  const submitBtn = form.querySelector('[type="submit"]');
+  const honeypot = form.querySelector(".hp-field");
+
+  const dateInput = form.querySelector('[name="date"]');
+  const timeSelect = form.querySelector('[name="time"]');
+  const guestsInput = form.querySelector('[name="guests"]');
+  const bottlesInput = form.querySelector('[name="bottles"]');
+
+  const TIME_ZONE = "America/New_York";
+  const STORAGE_KEY = "el32-booking";
+  const REQUEST_TIMEOUT_MS = 20000;
+  const FORM_NAME = "booking";
+
+  const SLOT_MINUTES = 30;
+  const LAST_ARRIVAL_MINUTES = 60; // before closing
+  const LEAD_MINUTES = 60; // same-night requests need an hour's notice
+  const BOOK_AHEAD_DAYS = 180;
+
+  const COPY = {
+    en: {
+      date: {
+        valueMissing: "Pick a date.",
+        badInput: "That date doesn’t look right.",
+        past: "That night has already passed.",
+        tooFar: "We take requests up to six months ahead.",
+        closed: (day) => `We’re closed on ${day}s — pick a night we’re open.`,
+      },
+      time: { valueMissing: "Pick an arrival time." },
+      guests: {
+        valueMissing: "How many people are coming?",
+        badInput: "Enter a number.",
+        rangeUnderflow: "Bookings start at 2 people.",
+        rangeOverflow: "For more than 60 people, call us at 434 209 5900.",
+      },
+      occasion: { valueMissing: "Pick an occasion." },
+      package: { valueMissing: "Pick a package." },
+      bottles: {
+        valueMissing: "How many bottles?",
+        badInput: "Enter a number.",
+        rangeUnderflow: "At least one bottle.",
+        rangeOverflow: "For more than 12 bottles, add a note instead.",
+      },
+      name: { valueMissing: "Please tell us your name." },
+      email: {
+        valueMissing: "We need an email to reply to.",
+        typeMismatch: "That email doesn’t look right.",
+      },
+      step: (n, total) => `Step ${n} of ${total}`,
+      pickDate: "Pick a date first",
+      pickTime: "Pick a time",
+      noTimes: "No arrival times left that night",
+      people: (n) => `${n} people`,
+      bottleCount: (n) => (n === 1 ? "1 bottle" : `${n} bottles`),
+      estimate: (amount) => `Estimate: ${amount} before tax and tip`,
+      free: "Estimate: no charge to reserve",
+      pending: "Sending…",
+      offline: "We couldn’t reach the server. Check your connection and try again.",
+      failed: (reason) => `Request not sent: ${reason} Your answers are still here — try again.`,
+      unknown: "Something went wrong.",
+    },
+    es: {
+      date: {
+        valueMissing: "Elige una fecha.",
+        badInput: "Esa fecha no parece válida.",
+        past: "Esa noche ya pasó.",
+        tooFar: "Aceptamos solicitudes con hasta seis meses de anticipación.",
+        closed: (day) =>
+          `Los ${/s$/.test(day) ? day : `${day}s`} estamos cerrados — elige una noche en que abrimos.`,
+      },
+      time: { valueMissing: "Elige una hora de llegada." },
+      guests: {
+        valueMissing: "¿Cuántas personas vienen?",
+        badInput: "Escribe un número.",
+        rangeUnderflow: "Las reservas son desde 2 personas.",
+        rangeOverflow: "Para más de 60 personas, llámanos al 434 209 5900.",
+      },
+      occasion: { valueMissing: "Elige una ocasión." },
+      package: { valueMissing: "Elige un paquete." },
+      bottles: {
+        valueMissing: "¿Cuántas botellas?",
+        badInput: "Escribe un número.",
+        rangeUnderflow: "Al menos una botella.",
+        rangeOverflow: "Para más de 12 botellas, déjanos una nota.",
+      },
+      name: { valueMissing: "Dinos tu nombre." },
+      email: {
+        valueMissing: "Necesitamos un correo para responderte.",
+        typeMismatch: "Ese correo no parece válido.",
+      },
+      step: (n, total) => `Paso ${n} de ${total}`,
+      pickDate: "Primero elige una fecha",
+      pickTime: "Elige una hora",
+      noTimes: "Ya no quedan horas esa noche",
+      people: (n) => `${n} personas`,
+      bottleCount: (n) => (n === 1 ? "1 botella" : `${n} botellas`),
+      estimate: (amount) => `Estimado: ${amount} antes de impuestos y propina`,
+      free: "Estimado: reservar no tiene costo",
+      pending: "Enviando…",
+      offline: "No pudimos conectar con el servidor. Revisa tu conexión e inténtalo de nuevo.",
+      failed: (reason) =>
+        `Solicitud no enviada: ${reason} Tus respuestas siguen aquí — inténtalo de nuevo.`,
+      unknown: "Algo salió mal.",
+    },
+  };
+
+  // The wizard owns validation + the step buttons from here on
+  form.noValidate = true;
+
+  let current = 0;
+  let pending = false;
+
+  // Steps the guest already tried to leave (their errors update live)
+  const attempted = new Set();
+
+  // Last status shown, so a language switch can re-render it
+  let status = null;
+
+  // --- helpers ---------------------------------------------------------
+
+  const { lang } = el32Content;
+  const copy = () => COPY[lang()];
+
+  const resolveEndpoint = () => {
+    const override = el32Site.devOverride("endpoint");
+    if (override) return new URL(override, window.location.href).href;
+    return form.getAttribute("data-endpoint") || form.action;
+  };
+
+  const pad = (n) => String(n).padStart(2, "0");
+
+  // --- published hours -------------------------------------------------
+
+  // Day index → { opens, length } (same JSON-LD parse as the hours badge)
+  const hours = new Map(
+    el32Content.openingHours().map(({ day, opens, length }) => [day, { opens, length }])
+  );
+
+  // --- bar calendar ("YYYY-MM-DD" in America/New_York) -----------------
+
+  const barClock = new Intl.DateTimeFormat("en-US", {
+    timeZone: TIME_ZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  });
+
+  const nowInBar = () => {
+    const parts = Object.fromEntries(
+      barClock.formatToParts(new Date()).map((p) => [p.type, p.value])
+    );
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      minute: (Number(parts.hour) % 24) * 60 + Number(parts.minute),
+    };
+  };
+
+  // Noon UTC keeps plain calendar maths clear of DST edges
+  const toDate = (value) => new Date(`${value}T12:00:00Z`);
+
+  const addDays = (value, days) => {
+    const d = toDate(value);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+  };
+
+  const isDateValue = (value) =>
+    /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(toDate(value).getTime());
+
+  const weekdayName = (value) =>
+    new Intl.DateTimeFormat(`${lang()}-US`, { weekday: "long", timeZone: "UTC" }).format(
+      toDate(value)
+    );
+
+  const longDate = (value) =>
+    new Intl.DateTimeFormat(`${lang()}-US`, {
+      weekday: "long",
+      month: "long",
+      day: "numeric",
+      year: "numeric",
+      timeZone: "UTC",
+    }).format(toDate(value));
+
+  const dateProblem = (value) => {
+    if (!isDateValue(value)) return "badInput";
+
+    const today = nowInBar().date;
+    if (value < today) return "past";
+    if (value > addDays(today, BOOK_AHEAD_DAYS)) return "tooFar";
+    if (!hours.has(toDate(value).getUTCDay())) return "closed";
+    return null;
+  };
+
+  // --- arrival times ---------------------------------------------------
+
+  // Minutes after the picked date's midnight (past 24h = after midnight)
+  const slotsFor = (value) => {
+    if (!isDateValue(value) || dateProblem(value)) return [];
+
+    const { opens, length } = hours.get(toDate(value).getUTCDay());
+    const now = nowInBar();
+    const slots = [];
+
+    for (let m = opens; m <= opens + length - LAST_ARRIVAL_MINUTES; m += SLOT_MINUTES) {
+      if (value === now.date && m < now.minute + LEAD_MINUTES) continue;
+      slots.push(m);
+    }
+
+    return slots;
+  };
+
+  const slotValue = (m) => `${pad(Math.floor(m / 60) % 24)}:${pad(m % 60)}`;
+
+  // "9pm" / "9:30pm" (matches the hours list style)
+  const slotLabel = (m) => {
+    const hour24 = Math.floor(m / 60) % 24;
+    const hour = hour24 % 12 || 12;
+    const minute = m % 60;
+    return `${hour}${minute ? `:${pad(minute)}` : ""}${hour24 < 12 ? "am" : "pm"}`;
+  };
+
+  const renderTimes = () => {
+    const picked = timeSelect.value;
+    const slots = slotsFor(dateInput.value);
+
+    const placeholder = document.createElement("option");
+    placeholder.value = "";
+
+    if (!dateInput.value || dateProblem(dateInput.value)) placeholder.textContent = copy().pickDate;
+    else if (slots.length === 0) placeholder.textContent = copy().noTimes;
+    else placeholder.textContent = copy().pickTime;
+
+    const options = slots.map((m) => {
+      const option = document.createElement("option");
+      option.value = slotValue(m);
+      option.textContent = slotLabel(m);
+      return option;
+    });
+
+    timeSelect.replaceChildren(placeholder, ...options);
+
+    // Keep the pick when that night still offers it
+    timeSelect.value = options.some((o) => o.value === picked) ? picked : "";
+  };
+
+  // --- estimate --------------------------------------------------------
+
+  const selectedPackage = () => form.querySelector('input[name="package"]:checked');
+
+  const price = (radio, key) => Number(radio?.dataset[key]) || 0;
+
+  const usesBottles = (radio) => price(radio, "bottle") > 0;
+
+  const estimate = () => {
+    const pkg = selectedPackage();
+    if (!pkg) return null;
+
+    const guests = Math.max(0, Math.floor(Number(guestsInput?.value) || 0));
+    const bottles = usesBottles(pkg)
+      ? Math.max(1, Math.floor(Number(bottlesInput?.value) || 1))
+      : 0;
+
+    return price(pkg, "base") + price(pkg, "perGuest") * guests + price(pkg, "bottle") * bottles;
+  };
+
+  const money = (amount) =>
+    new Intl.NumberFormat(`${lang()}-US`, {
+      style: "currency",
+      currency: "USD",
+      maximumFractionDigits: 0,
+    }).format(amount);
+
+  const renderEstimate = () => {
+    if (bottlesField) bottlesField.hidden = !usesBottles(selectedPackage());
+    if (!estimateNote) return;
+
+    const amount = estimate();
+    estimateNote.hidden = amount === null;
+    estimateNote.textContent =
+      amount === null ? "" : amount === 0 ? copy().free : copy().estimate(money(amount));
+  };
+
+  // --- fields + errors -------------------------------------------------
+
+  // One entry per name (a radio group counts once)
+  const fieldsOf = (step) => {
+    const names = new Set();
+    return Array.from(
+      step.querySelectorAll(".field__control[name], input[type='radio'][name]")
+    ).filter((control) => !names.has(control.name) && names.add(control.name));
+  };
+
+  const isSkipped = (control) => !!control.closest("[hidden]:not([data-booking-step])");
+
+  // Where the error goes / aria-invalid lands: the group for radios
+  const anchorOf = (control) =>
+    control.type === "radio" ? control.closest('[role="radiogroup"]') || control : control;
+
+  const errorFor = (control) => {
+    const id = `booking-${control.name}-error`;
+    let node = document.getElementById(id);
+
+    if (!node) {
+      const anchor = anchorOf(control);
+
+      node = document.createElement("span");
+      node.className = "field__error";
+      node.id = id;
+      node.hidden = true;
+      anchor.insertAdjacentElement(control.type === "radio" ? "beforeend" : "afterend", node);
+
+      const describedBy = anchor.getAttribute("aria-describedby");
+      anchor.setAttribute("aria-describedby", describedBy ? `${describedBy} ${id}` : id);
+    }
+
+    return node;
+  };
+
+  // Returns the failing flag ("valueMissing", "closed", …) or null
+  const problemWith = (control) => {
+    if (isSkipped(control)) return null;
+
+    if (control.type === "radio") {
+      const checked = form.querySelector(`[name="${control.name}"]:checked`);
+      return control.required && !checked ? "valueMissing" : null;
+    }
+
+    if (control.required && control.value.trim() === "") return "valueMissing";
+    if (control === dateInput && control.value) return dateProblem(control.value);
+    if (control.validity?.badInput) return "badInput";
+    if (control.validity?.typeMismatch) return "typeMismatch";
+    if (control.validity?.rangeUnderflow) return "rangeUnderflow";
+    if (control.validity?.rangeOverflow) return "rangeOverflow";
+    return null;
+  };
+
+  const showFieldError = (control) => {
+    const problem = problemWith(control);
+    const node = errorFor(control);
+    const anchor = anchorOf(control);
+
+    let text = problem ? copy()[control.name]?.[problem] : "";
+    if (typeof text === "function") text = text(weekdayName(control.value));
+
+    node.textContent = text || "";
+    node.hidden = !problem;
+
+    if (problem) anchor.setAttribute("aria-invalid", "true");
+    else anchor.removeAttribute("aria-invalid");
+
+    return !problem;
+  };
+
+  const clearErrors = () => {
+    steps.forEach((step) => {
+      fieldsOf(step).forEach((control) => {
+        errorFor(control).hidden = true;
+        anchorOf(control).removeAttribute("aria-invalid");
+      });
+    });
+  };
+
+  const stepIsValid = (i) => fieldsOf(steps[i]).every((control) => !problemWith(control));
+
+  const validateStep = (i) => {
+    attempted.add(i);
+    const invalid = fieldsOf(steps[i]).filter((control) => !showFieldError(control));
+    invalid[0]?.focus();
+    return invalid.length === 0;
+  };
+
+  // --- summary ---------------------------------------------------------
+
+  const labelOf = (control) =>
+    control.closest(".field")?.querySelector(".field__label")?.textContent.trim() || control.name;
+
+  const valueOf = (control) => {
+    if (control.type === "radio") {
+      return selectedPackage()?.closest("label")?.querySelector(".booking-package__name")
+        ?.textContent.trim() || "";
+    }
+    if (!control.value.trim()) return "";
+    if (control === dateInput) return longDate(control.value);
+    if (control === guestsInput) return copy().people(Number(control.value));
+    if (control === bottlesInput) return copy().bottleCount(Number(control.value));
+    if (control.tagName === "SELECT") return control.selectedOptions[0]?.textContent.trim() || "";
+    return control.value.trim();
+  };
+
+  // [label, value] for every answered field, in step order
+  const answers = () =>
+    steps.flatMap((step) =>
+      fieldsOf(step)
+        .filter((control) => !isSkipped(control))
+        .map((control) => [labelOf(control), valueOf(control)])
+        .filter(([, value]) => value)
+    );
+
+  const renderSummary = () => {
+    if (!summary) return;
+
+    summary.replaceChildren(
+      ...answers().flatMap(([label, value]) => {
+        const dt = document.createElement("dt");
+        const dd = document.createElement("dd");
+        dt.textContent = label;
+        dd.textContent = value;
+        return [dt, dd];
+      })
+    );
+  };
+
+  // --- saved progress --------------------------------------------------
+
+  const savable = () =>
+    Array.from(form.elements).filter(
+      (el) =>
+        el.name &&
+        el !== honeypot &&
+        el.type !== "hidden" &&
+        (el.type !== "radio" || el.checked)
+    );
+
+  const save = () => {
+    try {
+      sessionStorage.setItem(
+        STORAGE_KEY,
+        JSON.stringify({
+          step: current,
+          values: Object.fromEntries(savable().map((el) => [el.name, el.value])),
+        })
+      );
+    } catch {
+      // Private mode / storage disabled: progress lasts for this page only
+    }
+  };
+
+  const forget = () => {
+    try {
+      sessionStorage.removeItem(STORAGE_KEY);
+    } catch {
+      // Nothing was saved
+    }
+  };
+
+  const restore = () => {
+    let saved = null;
+    try {
+      saved = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || "null");
+    } catch {
+      return 0;
+    }
+    if (!saved?.values) return 0;
+
+    const { time, ...rest } = saved.values;
+
+    Object.entries(rest).forEach(([name, value]) => {
+      const field = form.elements.namedItem(name);
+      if (field && field !== honeypot && typeof value === "string") field.value = value;
+    });
+
+    // Arrival options depend on the date, so they go second
+    renderTimes();
+    if (typeof time === "string") timeSelect.value = time;
+    if (timeSelect.value !== time) timeSelect.value = "";
+
+    // Resume where they were, unless an earlier step no longer holds
+    // (e.g. the saved night has passed)
+    const step = Math.min(Number(saved.step) || 0, steps.length - 1);
+    for (let i = 0; i < step; i += 1) {
+      if (!stepIsValid(i)) return i;
+    }
+    return step;
+  };
+
+  // --- steps -----------------------------------------------------------
+
+  const renderProgress = () => {
+    if (counter) {
+      counter.hidden = false;
+      counter.textContent = copy().step(current + 1, steps.length);
+    }
+    if (!progressList) return;
+
+    progressList.hidden = false;
+    progressList.replaceChildren(
+      ...steps.map((step, i) => {
+        const li = document.createElement("li");
+        li.className = "booking-progress__item";
+        li.textContent = step.querySelector("legend")?.textContent.trim() || String(i + 1);
+        li.classList.toggle("is-done", i < current);
+        if (i === current) li.setAttribute("aria-current", "step");
+        return li;
+      })
+    );
+  };
+
+  const showStep = (i, { focus = true } = {}) => {
+    current = Math.max(0, Math.min(i, steps.length - 1));
+    const last = current === steps.length - 1;
+
+    steps.forEach((step, n) => {
+      step.hidden = n !== current;
+    });
+
+    if (backBtn) backBtn.hidden = current === 0;
+    if (nextBtn) nextBtn.hidden = last;
+    if (submitBtn) submitBtn.hidden = !last;
+
+    if (last) renderSummary();
+    renderProgress();
+    save();
+
+    if (focus) {
+      const legend = steps[current].querySelector("legend");
+      legend?.setAttribute("tabindex", "-1");
+      legend?.focus();
+    }
+  };
+
+  const goNext = () => {
+    if (validateStep(current)) showStep(current + 1);
+  };
+
+  const goBack = () => showStep(current - 1);
+
+  // --- status ----------------------------------------------------------
+
+  const renderStatus = () => {
+    if (!statusNote) return;
+
+    if (!status) {
+      statusNote.hidden = true;
+      statusNote.textContent = "";
+      statusNote.classList.remove("form-status--error");
+      return;
+    }
+
+    const text =
+      status.type === "failed"
+        ? copy().failed(status.reason || copy().unknown)
+        : copy()[status.type];
+
+    statusNote.textContent = text;
+    statusNote.classList.toggle("form-status--error", status.type !== "pending");
+    statusNote.setAttribute("role", status.type === "pending" ? "status" : "alert");
+    statusNote.hidden = false;
+  };
+
+  const setStatus = (next) => {
+    status = next;
+    renderStatus();
+  };
+
+  const setPending = (on) => {
+    pending = on;
+    form.setAttribute("aria-busy", on ? "true" : "false");
+    if (submitBtn) submitBtn.disabled = on;
+    if (backBtn) backBtn.disabled = on;
+    if (on) setStatus({ type: "pending" });
+  };
+
+  const showSuccess = () => {
+    setStatus(null);
+    attempted.clear();
+    form.reset();
+    clearErrors();
+    renderTimes();
+    renderEstimate();
+    showStep(0, { focus: false });
+    forget();
+
+    if (successNote) {
+      successNote.hidden = false;
+      successNote.focus();
+    }
+  };
+
+  // --- submit ----------------------------------------------------------
+
+  const send = () => {
+    const data = new FormData(form);
+
+    // The redirect is only for the no-JS POST; fetch wants JSON back
+    data.delete("redirect");
+    data.delete("website");
+    if (!usesBottles(selectedPackage())) data.delete("bottles");
+
+    // Readable for whoever opens the email
+    const amount = estimate();
+    data.set(
+      "subject",
+      `Booking request: ${dateInput.value} ${timeSelect.value}, ${guestsInput.value} people`
+    );
+    if (amount !== null) data.set("estimate", money(amount));
+    data.set("summary", answers().map(([label, value]) => `${label}: ${value}`).join("\n"));
+
+    const controller = window.AbortController ? new AbortController() : null;
+    const timer = controller
+      ? window.setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS)
+      : 0;
+
+    setPending(true);
+    el32Analytics.track("form-submit", { form: FORM_NAME });
+
+    fetch(resolveEndpoint(), {
+      method: "POST",
+      body: data,
+      headers: { Accept: "application/json" },
+      signal: controller?.signal,
+    })
+      .then((res) =>
+        res
+          .json()
+          .catch(() => null)
+          .then((json) => ({ res, json }))
+      )
+      .then(({ res, json }) => {
+        if (res.ok && json?.success !== false) {
+          showSuccess();
+          el32Analytics.track("form-success", { form: FORM_NAME });
+          return;
+        }
+        setStatus({ type: "failed", reason: json?.message || `HTTP ${res.status}` });
+        el32Analytics.track("form-failure", { form: FORM_NAME, reason: "server" });
+      })
+      .catch(() => {
+        setStatus({ type: "offline" });
+        el32Analytics.track("form-failure", { form: FORM_NAME, reason: "offline" });
+      })
+      .finally(() => {
+        window.clearTimeout(timer);
+        setPending(false);
+      });
+  };
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    if (pending) return;
+
+    // Enter in a field means "next" until the review step
+    if (current < steps.length - 1) {
+      goNext();
+      return;
+    }
+
+    if (successNote) successNote.hidden = true;
+
+    const invalid = steps.findIndex((step, i) => !stepIsValid(i));
+    if (invalid !== -1) {
+      showStep(invalid);
+      validateStep(invalid);
+      el32Analytics.track("form-failure", { form: FORM_NAME, reason: "invalid" });
+      return;
+    }
+
+    // Bots fill every field; act as if it worked and send nothing
+    if (honeypot && honeypot.value !== "") {
+      showSuccess();
+      return;
+    }
+
+    send();
+  }, { signal });
+
+  nextBtn?.addEventListener("click", goNext, { signal });
+  backBtn?.addEventListener("click", goBack, { signal });
+
+  // --- live updates ----------------------------------------------------
+
+  const stepOf = (control) => steps.findIndex((step) => step.contains(control));
+
+  const onEdit = (e) => {
+    const control = e.target;
+    if (!control.name || control === honeypot) return;
+
+    if (control === dateInput) renderTimes();
+    renderEstimate();
+    setStatus(null);
+
+    if (attempted.has(stepOf(control))) {
+      fieldsOf(steps[stepOf(control)]).forEach(showFieldError);
+    }
+
+    save();
+  };
 
-  const prefersReducedMotion =
-    window.matchMedia?.("(prefers-reduced-motion: reduce)")?.matches ?? false;
+  form.addEventListener("input", onEdit, { signal });
+  form.addEventListener("change", onEdit, { signal });
 
-  if (prefersReducedMotion) return;
+  // Started vs. submitted = how many guests give up half-way
+  form.addEventListener("input", () => {
+    el32Analytics.track("form-start", { form: FORM_NAME, step: current });
+  }, { once: true, signal });
 
-  const replay = () => {
-    // Reset animation
-    logo.style.animation = "none";
+  el32Env.lang.subscribe(() => {
+    renderTimes();
+    renderEstimate();
+    renderProgress();
+    renderStatus();
+    if (current === steps.length - 1) renderSummary();
 
-    // Force reflow so the reset is applied
-    // eslint-disable-next-line no-unused-expressions
-    logo.offsetHeight;
+    steps.forEach((step) => {
+      fieldsOf(step).forEach((control) => {
+        if (!errorFor(control).hidden) showFieldError(control);
+      });
+    });
+  }, { signal });
 
-    // Replay exactly the same animation as CSS
-    logo.style.animation =
-      "el32-voltage-flicker 2200ms cubic-bezier(0.22, 1, 0.36, 1) forwards";
-  };
+  // --- start -----------------------------------------------------------
 
-  logo.addEventListener("click", replay);
+  const today = nowInBar().date;
+  dateInput.min = today;
+  dateInput.max = addDays(today, BOOK_AHEAD_DAYS);
 
-  // Keyboard support (Enter/Space)
-  logo.addEventListener("keydown", (e) => {
-    if (e.key === "Enter" || e.key === " ") {
-      e.preventDefault();
-      replay();
-    }
-  });
-})();
+  renderTimes();
+  const resumeAt = restore();
+  renderEstimate();
+  showStep(resumeAt, { focus: false });
+}, { name: "booking", roots: "[data-booking-form]" });
 
 /* =====================================================================
-   3) El 32 — Tagline Translation Toggle
+   El 32 — Offline + Updates (Service Worker)
    Purpose:
-   - Tap/click toggles Spanish ↔ English text
-   - Keeps DOM simple and accessible
+   - Registers sw.js (precached pages/assets, see that file)
+   - Offline notice while the connection is down
+   - "Update available" prompt when a deploy installs a new worker
+   Notes:
+   - Only registers on https (or localhost for testing)
+   - Reload happens only after the guest accepts the prompt, so the
+     first install (clients.claim) never reloads the page
 ===================================================================== */
-
 (() => {
   "use strict";
 
-  const btn = document.querySelector("[data-tagline]");
-  if (!btn) return;
+  const COPY = {
+    en: {
+      offline: "You’re offline — showing saved pages.",
+      update: "A new version of the site is ready.",
+      reload: "Reload",
+      later: "Later",
+    },
+    es: {
+      offline: "Sin conexión — mostrando páginas guardadas.",
+      update: "Hay una nueva versión del sitio.",
+      reload: "Recargar",
+      later: "Después",
+    },
+  };
+
+  const { lang } = el32Content;
+  const copy = () => COPY[lang()];
 
-  const es = btn.querySelector("[data-es]");
-  const en = btn.querySelector("[data-en]");
-  if (!es || !en) return;
+  // --- notices -----------------------------------------------------------
 
-  const setLang = (lang) => {
-    const isEnglish = lang === "en";
+  const makeNotice = (kind) => {
+    const box = document.createElement("div");
+    box.className = `site-notice site-notice--${kind}`;
+    box.setAttribute("role", "status");
+    box.hidden = true;
 
-    btn.dataset.lang = lang;
-    btn.setAttribute("aria-pressed", isEnglish ? "true" : "false");
+    const text = document.createElement("span");
+    text.className = "site-notice__text";
+    box.appendChild(text);
 
-    es.hidden = isEnglish;
-    en.hidden = !isEnglish;
+    document.body.appendChild(box);
+    return { box, text };
   };
 
-  // Default: Spanish (UNCHANGED)
-  setLang(btn.dataset.lang || "es");
+  const makeButton = (className) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = `site-notice__btn ${className}`;
+    return btn;
+  };
 
-  btn.addEventListener("click", () => {
-    const next = btn.dataset.lang === "es" ? "en" : "es";
-    setLang(next);
-  });
-})();
+  const offline = makeNotice("offline");
 
-/* =====================================================================
-   4) iOS Safari Scroll/Pan Lock
-   - Prevents touch panning (rubber-band / scroll) on a fixed landing
-   - Does NOT break taps/clicks on buttons/links
-   - Uses cancelable guard to reduce overhead / console noise
-===================================================================== */
+  const update = makeNotice("update");
+  const reloadBtn = makeButton("site-notice__btn--primary");
+  const laterBtn = makeButton("");
+  update.box.append(reloadBtn, laterBtn);
 
-(() => {
-  const isIOSSafari =
-    /iP(hone|ad|od)/.test(navigator.platform) ||
-    (navigator.userAgent.includes("Mac") && "ontouchend" in document);
+  const renderCopy = () => {
+    offline.text.textContent = copy().offline;
+    update.text.textContent = copy().update;
+    reloadBtn.textContent = copy().reload;
+    laterBtn.textContent = copy().later;
+  };
 
-  if (!isIOSSafari) return;
+  const syncOnline = () => {
+    offline.box.hidden = navigator.onLine !== false;
+  };
 
-    // Only lock scroll on the landing page
-  if (!document.body.classList.contains("is-landing")) return;
+  renderCopy();
+  syncOnline();
 
-  // Block page drag (but allow taps)
-  document.addEventListener(
-    "touchmove",
-    (e) => {
-      if (e.cancelable) e.preventDefault();
-    },
-    { passive: false }
-  );
+  window.addEventListener("online", syncOnline);
+  window.addEventListener("offline", syncOnline);
+  el32Env.lang.subscribe(renderCopy);
 
-  // Block pinch-zoom gestures (older iOS Safari events)
-  document.addEventListener("gesturestart", (e) => e.preventDefault());
-  document.addEventListener("gesturechange", (e) => e.preventDefault());
-  document.addEventListener("gestureend", (e) => e.preventDefault());
-})();
+  // --- service worker ----------------------------------------------------
 
-/* =====================================================================
-   Inner Pages — Simple Load-In Reveal (Performance Safe)
-   - Reveals ALL [data-reveal] elements (not just the first)
-   - Staggers [data-reveal-item] rows for polish
-   - Respects prefers-reduced-motion
-===================================================================== */
-(() => {
-  "use strict";
+  const sw = navigator.serviceWorker;
+  if (!sw) return;
+  // (file:// counts as local, but has no navigator.serviceWorker)
+  if (window.location.protocol !== "https:" && !el32Site.isLocal) return;
+
+  let waiting = null;
+  let accepted = false;
+
+  const showUpdate = (worker) => {
+    waiting = worker;
+    update.box.hidden = false;
+  };
 
-  const prefersReducedMotion =
-    window.matchMedia?.("(prefers-reduced-motion: reduce)")?.matches ?? false;
+  reloadBtn.addEventListener("click", () => {
+    if (!waiting) return;
+    accepted = true;
+    reloadBtn.disabled = true;
+    waiting.postMessage({ type: "SKIP_WAITING" });
+  });
+
+  laterBtn.addEventListener("click", () => {
+    update.box.hidden = true;
+  });
 
-  if (prefersReducedMotion) return;
+  sw.addEventListener("controllerchange", () => {
+    if (!accepted) return;
+    accepted = false;
+    window.location.reload();
+  });
 
-  const headlines = Array.from(document.querySelectorAll("[data-reveal]"));
-  const items = Array.from(document.querySelectorAll("[data-reveal-item]"));
+  const watch = (reg) => {
+    if (reg.waiting && sw.controller) showUpdate(reg.waiting);
 
-  if (headlines.length === 0 && items.length === 0) return;
+    reg.addEventListener("updatefound", () => {
+      const worker = reg.installing;
+      if (!worker) return;
 
-  // Start: next paint, then animate in (prevents “no-transition” first frame)
-  requestAnimationFrame(() => {
-    headlines.forEach((el, i) => {
-      // Tiny stagger so multiple headings feel intentional
-      const delay = i * 80;
-      window.setTimeout(() => el.classList.add("is-in"), delay);
+      worker.addEventListener("statechange", () => {
+        // No controller yet = first install, nothing to update
+        if (worker.state === "installed" && sw.controller) showUpdate(worker);
+      });
     });
 
-    // Stagger rows (tiny and cheap)
-    items.forEach((el, i) => {
-      const delay = 120 + i * 90;
-      window.setTimeout(() => el.classList.add("is-in"), delay);
+    // Long-lived tabs: look for a new deploy when the guest comes back
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "visible") reg.update().catch(() => {});
     });
+  };
+
+  // Wait for load so the worker's precache doesn't compete with the page
+  window.addEventListener("load", () => {
+    sw.register("sw.js")
+      .then(watch)
+      .catch(() => {
+        // Site works fine without it
+      });
   });
 })();
 
 /* =====================================================================
-   El 32 — Party Gallery Lightbox (Swipe + Keys, Stable)
-   Structure:
-   - Defensive DOM lookups
-   - Open/close + focus restore
-   - Prev/next + preload neighbors
-   - Swipe: velocity + distance thresholds (your “second swipe” behavior)
+   El 32 — Party Gallery (Data-driven Albums)
+   Purpose:
+   - Builds .gallery-tile figures from data/gallery.json
+   - One album (event night) on screen at a time, picked by chip
+   - Loads PAGE_SIZE photos at a time: "Load more" button, plus
+     infinite loading as it nears view inside .page__scroll
+   Manifest shape:
+     { "albums": [ {
+         "id": "2026-03-14-salsa-night",
+         "date": "2026-03-14",                       (optional)
+         "title": { "en": "Salsa Night", "es": "Noche de Salsa" },
+         "photos": [ {
+           "thumb": "assets/images/….jpg",
+           "full": "assets/images/….jpg",            (optional; = thumb)
+           "alt": { "en": "…", "es": "…" },
+           "caption": { "en": "…", "es": "…" },      (optional)
+           "width": 1600, "height": 1000             (optional)
+         } ]
+     } ] }
    Notes:
-   - Everything stays inside ONE IIFE to avoid ReferenceErrors
+   - Albums sort newest first; undated albums go last
+   - ?album=<id> selects an album (kept in the URL for sharing)
+   - Fires "el32:gallery-change" after every render so the lightbox
+     re-collects tiles (deep links wait for the first one)
+   - Fetch failure keeps the hand-written tiles
 ===================================================================== */
-(() => {
+el32Pages.mount((signal) => {
   "use strict";
 
-  const tiles = Array.from(document.querySelectorAll(".gallery-btn img"));
-  const lb = document.querySelector("[data-lightbox]");
-  if (tiles.length === 0 || !lb) return;
+  const grid = document.querySelector("[data-gallery-grid]");
+  if (!grid) return;
 
-  const imgEl = lb.querySelector("[data-lb-img]");
-  const stage = lb.querySelector("[data-lb-stage]");
-  const btnPrev = lb.querySelector("[data-lb-prev]");
-  const btnNext = lb.querySelector("[data-lb-next]");
-  const closeBtns = Array.from(lb.querySelectorAll("[data-lb-close]"));
-  if (!imgEl || !stage) return;
+  const src = grid.getAttribute("data-gallery-src") || "data/gallery.json";
+  const picker = document.querySelector("[data-gallery-albums]");
+  const moreBtn = document.querySelector("[data-gallery-more]");
+  const scroller = document.querySelector(".page__scroll");
 
-  const scroller = document.querySelector(".page__scroll"); // inner-page scroll container
+  const PAGE_SIZE = 12;
 
-  let index = 0;
-  let isOpen = false;
-  let lastActive = null;
+  // Lightbox group (same as the hand-written tiles)
+  const GROUP = "party";
+
+  let albums = [];
+  let album = null;
+  let shown = 0;
+
+  // Tile img → photo entry (for re-translating alts)
+  const photoFor = new WeakMap();
 
   // --- helpers ---------------------------------------------------------
 
-  const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+  const { lang, localize } = el32Content;
 
-  const getFullSrc = (i) =>
-    tiles[(i + tiles.length) % tiles.length]?.getAttribute("data-full") ||
-    tiles[(i + tiles.length) % tiles.length]?.getAttribute("src") ||
-    "";
+  // Dates are calendar days: format in UTC so they never shift a day
+  const formatDate = (iso) => {
+    const date = new Date(`${iso}T00:00:00Z`);
+    if (Number.isNaN(date.getTime())) return "";
 
-  const preload = (src) => {
-    if (!src) return;
-    const im = new Image();
-    im.decoding = "async";
-    im.src = src;
+    return new Intl.DateTimeFormat(`${lang()}-US`, {
+      timeZone: "UTC",
+      month: "short",
+      day: "numeric",
+      year: "numeric",
+    }).format(date);
   };
 
-  const setIndex = (nextIndex) => {
-    index = (nextIndex + tiles.length) % tiles.length;
-    const src = getFullSrc(index);
-    if (!src) return;
-
-    // Swap image
-    imgEl.src = src;
+  const notify = () => {
+    grid.dispatchEvent(new CustomEvent("el32:gallery-change", { bubbles: true }));
+  };
 
-    // Preload neighbors (cheap; improves swipe feel)
-    preload(getFullSrc(index - 1));
-    preload(getFullSrc(index + 1));
+  // Deep link #photo-N needs at least N photos on screen
+  const photosNeededForHash = () => {
+    const match = /^#photo-(\d+)$/.exec(window.location.hash);
+    return match ? Number(match[1]) : 0;
   };
 
-  const prev = () => setIndex(index - 1);
-  const next = () => setIndex(index + 1);
+  const normalize = (data) =>
+    (Array.isArray(data?.albums) ? data.albums : [])
+      .map((a) => ({
+        ...a,
+        photos: (Array.isArray(a.photos) ? a.photos : []).filter((p) => p?.thumb || p?.full),
+      }))
+      .filter((a) => a.id && a.photos.length > 0)
+      .sort((a, b) => {
+        if (!a.date || !b.date) return a.date ? -1 : b.date ? 1 : 0;
+        return b.date.localeCompare(a.date);
+      });
 
-  // --- open/close ------------------------------------------------------
+  // --- tiles -----------------------------------------------------------
+
+  const buildTile = (photo) => {
+    const figure = document.createElement("figure");
+    figure.className = "gallery-tile";
+    figure.setAttribute("data-reveal-item", "");
+
+    const btn = document.createElement("button");
+    btn.className = "gallery-btn";
+    btn.type = "button";
+    btn.setAttribute("data-gallery", GROUP);
+
+    const img = document.createElement("img");
+    img.src = photo.thumb || photo.full;
+    img.setAttribute("data-full", photo.full || photo.thumb);
+    img.alt = localize(photo.alt);
+    img.loading = "lazy";
+    img.decoding = "async";
+    img.width = photo.width || 1600;
+    img.height = photo.height || 1000;
+    photoFor.set(img, photo);
+
+    btn.appendChild(img);
+    figure.appendChild(btn);
+
+    if (photo.caption) {
+      const caption = document.createElement("figcaption");
+      caption.className = "gallery-tile__caption";
+      caption.textContent = localize(photo.caption);
+      figure.appendChild(caption);
+    }
 
-  const open = (i, triggerEl) => {
-    if (isOpen) return;
-    isOpen = true;
+    return figure;
+  };
 
-    lastActive = triggerEl || document.activeElement;
+  const syncMore = () => {
+    if (moreBtn) moreBtn.hidden = !album || shown >= album.photos.length;
+  };
 
-    lb.hidden = false;
-    lb.setAttribute("aria-hidden", "false");
+  const showMore = (count = PAGE_SIZE) => {
+    if (!album || shown >= album.photos.length) return;
 
-    // Lock only the inner scroller (keeps ambience stable)
-    if (scroller) scroller.style.overflow = "hidden";
+    const batch = album.photos.slice(shown, shown + count);
+    shown += batch.length;
 
-    // Ensure clean visual state
-    imgEl.classList.remove("is-dragging");
-    imgEl.style.transform = "";
-    imgEl.style.opacity = "";
+    grid.append(...batch.map(buildTile));
+    syncMore();
+    notify();
+  };
+
+  // --- albums ----------------------------------------------------------
+
+  const renderPicker = () => {
+    if (!picker) return;
+
+    // Nothing to pick between
+    picker.hidden = albums.length < 2;
+    if (picker.hidden) return;
+
+    picker.replaceChildren(
+      ...albums.map((a) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "gallery-album";
+        btn.dataset.album = a.id;
+        btn.setAttribute("aria-pressed", a === album ? "true" : "false");
+
+        const name = document.createElement("span");
+        name.className = "gallery-album__name";
+        name.textContent = localize(a.title) || a.id;
+        btn.appendChild(name);
+
+        const date = a.date ? formatDate(a.date) : "";
+        if (date) {
+          const when = document.createElement("span");
+          when.className = "gallery-album__date";
+          when.textContent = date;
+          btn.append(" ", when);
+        }
+
+        return btn;
+      })
+    );
+  };
 
-    setIndex(i);
+  const selectAlbum = (id, { minPhotos = 0 } = {}) => {
+    album = albums.find((a) => a.id === id) || albums[0];
+    shown = 0;
 
-    // Focus close for accessibility
-    const closeBtn = lb.querySelector("[data-lb-close]");
-    closeBtn?.focus?.({ preventScroll: true });
+    grid.replaceChildren();
+    renderPicker();
+    showMore(Math.max(PAGE_SIZE, Math.ceil(minPhotos / PAGE_SIZE) * PAGE_SIZE));
   };
 
-  const close = () => {
-    if (!isOpen) return;
-    isOpen = false;
+  picker?.addEventListener("click", (e) => {
+    const btn = e.target.closest?.(".gallery-album");
+    if (!btn || btn.dataset.album === album?.id) return;
+
+    // Shareable album URL without a history entry per tap
+    const url = new URL(window.location.href);
+    url.searchParams.set("album", btn.dataset.album);
+    url.hash = "";
+    history.replaceState(history.state, "", url.pathname + url.search);
+
+    selectAlbum(btn.dataset.album);
+  }, { signal });
+
+  moreBtn?.addEventListener("click", () => showMore(), { signal });
+
+  // Infinite loading: the button doubles as the sentinel
+  if (moreBtn && "IntersectionObserver" in window) {
+    const io = new IntersectionObserver(
+      (entries) => {
+        if (!entries.some((entry) => entry.isIntersecting) || moreBtn.hidden) return;
+        showMore();
+
+        // Re-observe: still in range after the batch → next batch
+        io.unobserve(moreBtn);
+        io.observe(moreBtn);
+      },
+      { root: scroller, rootMargin: "0px 0px 600px 0px" }
+    );
+    io.observe(moreBtn);
+    signal.addEventListener("abort", () => io.disconnect());
+  }
+
+  el32Env.lang.subscribe(() => {
+    if (!album) return;
+
+    renderPicker();
+    grid.querySelectorAll(".gallery-btn img").forEach((img) => {
+      const photo = photoFor.get(img);
+      if (!photo) return;
+
+      img.alt = localize(photo.alt);
+      const caption = img.closest("figure")?.querySelector(".gallery-tile__caption");
+      if (caption) caption.textContent = localize(photo.caption);
+    });
+    notify();
+  }, { signal });
+
+  fetch(src, { cache: "no-cache", signal })
+    .then((res) => {
+      if (!res.ok) throw new Error(`Gallery data: ${res.status}`);
+      return res.json();
+    })
+    .then((data) => {
+      albums = normalize(data);
+      if (albums.length === 0) throw new Error("Gallery data: no albums");
+
+      const requested = new URLSearchParams(window.location.search).get("album");
+      selectAlbum(requested, { minPhotos: photosNeededForHash() });
+    })
+    .catch(() => {
+      // Static tiles stay; still release deep links waiting on us
+      if (!signal.aborted) notify();
+    });
+}, { name: "gallery", roots: "[data-gallery-grid]" });
 
-    lb.setAttribute("aria-hidden", "true");
-    lb.hidden = true;
+/* =====================================================================
+   El 32 — Page Router (Client-side Transitions)
+   Purpose:
+   - Same-origin page links (about, menu.html, the logo's home link…)
+     load without a full reload, so the lightfield keeps its motion
+   - Fetches the page, swaps the content + <title>/meta/JSON-LD, then
+     re-runs the page mounts (see "Page Mounts" at the top)
+   - View Transitions API crossfade where supported
+   - Prefetch on hover (short delay) and on touchstart
+   - Back/forward swap pages too; scroll position is kept per entry
+   Notes:
+   - Kept across swaps: the language switch, <main> itself, its SVG
+     filter + .lightfield, JS-created notices and every <script>
+   - Anything unusual falls back to a normal navigation: fetch error,
+     non-HTML response, missing layout anchors, or a page that needs a
+     script / stylesheet this document hasn't loaded (e.g. Contact)
+   - Same-page links (hashes, photo deep links) stay native
+   - Fetched pages are reused for CACHE_TTL_MS, then fetched again (a
+     long-open tab still picks up a redeploy)
+   - A swap that throws reloads the page in place
+   - Fires "el32:page-change" ({ url }) on document after each swap
+===================================================================== */
+(() => {
+  "use strict";
 
-    if (scroller) scroller.style.overflow = "";
+  if (!("DOMParser" in window) || !window.fetch) return;
 
-    // Reset any swipe visuals
-    imgEl.classList.remove("is-dragging");
-    imgEl.style.transform = "";
-    imgEl.style.opacity = "";
+  const PREFETCH_DELAY_MS = 65;
+  const SCROLL_SAVE_MS = 200;
+  const CACHE_TTL_MS = 5 * 60 * 1000;
 
-    lastActive?.focus?.({ preventScroll: true });
-  };
+  // Layout anchors, in document order: kept nodes, content flows around
+  const BODY_ANCHORS = ["[data-lang-switch]", "main"];
+  const MAIN_ANCHORS = ["svg.fx", ".lightfield"];
 
-  // --- click wiring ----------------------------------------------------
+  // Site-wide nodes outside the anchors that must survive a swap
+  const BODY_KEEP = "script, .site-notice, .fx-debug";
 
-  document.addEventListener("click", (e) => {
-    const btn = e.target.closest?.(".gallery-btn");
-    if (!btn) return;
+  const HEAD_SYNC = [
+    "title",
+    'meta[name="description"]',
+    'meta[property^="og:"]',
+    'meta[name^="twitter:"]',
+    'link[rel="canonical"]',
+    'script[type="application/ld+json"]',
+  ].join(", ");
 
-    const img = btn.querySelector("img");
-    const i = tiles.indexOf(img);
-    if (i >= 0) open(i, btn);
-  });
+  // Pages only: "/", "*.html" or an extension-less path
+  const isPagePath = (pathname) => /(?:\/|\.html|\/[^/.]+)$/.test(pathname);
 
-  closeBtns.forEach((b) => b.addEventListener("click", close));
-  btnPrev?.addEventListener("click", prev);
-  btnNext?.addEventListener("click", next);
+  let currentKey = el32Site.pageKey();
+  let navToken = 0;
 
-  // --- keyboard --------------------------------------------------------
+  // key → { request, time }
+  const cache = new Map();
 
-  document.addEventListener("keydown", (e) => {
-    if (!isOpen) return;
-    if (e.key === "Escape") close();
-    if (e.key === "ArrowLeft") prev();
-    if (e.key === "ArrowRight") next();
-  });
+  // --- links -----------------------------------------------------------
 
-  // --- swipe (your “second swipe” behavior) ----------------------------
+  const pageUrl = (a) => {
+    if (!a || a.hasAttribute("download")) return null;
+    if (a.target && a.target !== "_self") return null;
 
-  let pointerDown = false;
-  let startX = 0;
-  let deltaX = 0;
-  let startT = 0;
-  let activePointerId = null;
-  let isAnimating = false;
+    const url = new URL(a.href, window.location.href);
+    if (url.origin !== window.location.origin) return null;
+    if (!isPagePath(url.pathname)) return null;
+    if (el32Site.pageKey(url) === currentKey) return null;
 
-  const setDragVisual = (dx) => {
-    const w = Math.max(320, window.innerWidth);
-    const progress = clamp(Math.abs(dx) / (w * 0.9), 0, 1);
-    const opacity = 1 - progress * 0.25;
+    return url;
+  };
 
-    imgEl.style.transform = `translate3d(${dx}px, 0, 0)`;
-    imgEl.style.opacity = `${opacity}`;
+  const load = (url) => {
+    const key = url.origin + url.pathname + url.search;
+    const hit = cache.get(key);
+
+    if (!hit || Date.now() - hit.time > CACHE_TTL_MS) {
+      const request = fetch(key, { credentials: "same-origin" })
+        .then((res) => {
+          const type = res.headers.get("content-type") || "";
+          if (!res.ok || !type.includes("text/html")) {
+            throw new Error(`Page request failed (${res.status})`);
+          }
+          return res.text();
+        })
+        .catch((err) => {
+          if (cache.get(key)?.request === request) cache.delete(key);
+          throw err;
+        });
+
+      cache.set(key, { request, time: Date.now() });
+    }
+
+    return cache.get(key).request;
   };
 
-  const resetVisual = () => {
-    imgEl.style.transform = "";
-    imgEl.style.opacity = "";
+  const prefetch = (url) => {
+    if (navigator.connection?.saveData) return;
+    load(url).catch(() => {});
   };
 
-  const animateTo = (dx, opacity = 1, cb) => {
-    if (isAnimating) return;
-    isAnimating = true;
+  // --- swap ------------------------------------------------------------
 
-    // Ensure transitions apply (your CSS uses transition unless .is-dragging)
-    imgEl.classList.remove("is-dragging");
+  const childBySelector = (parent, sel) =>
+    Array.from(parent.children).find((el) => el.matches(sel)) || null;
 
-    requestAnimationFrame(() => {
-      imgEl.style.transform = `translate3d(${dx}px, 0, 0)`;
-      imgEl.style.opacity = `${opacity}`;
+  const resolve = (el, base) =>
+    new URL(el.getAttribute("src") ?? el.getAttribute("href"), base).href;
 
-      const done = () => {
-        isAnimating = false;
-        cb?.();
-      };
+  const canSwap = (doc, url) => {
+    const main = childBySelector(doc.body, "main");
+    if (!main) return false;
 
-      // Use once to avoid leaks
-      imgEl.addEventListener("transitionend", done, { once: true });
+    const anchorsOk =
+      BODY_ANCHORS.every((sel) => childBySelector(doc.body, sel) && childBySelector(document.body, sel)) &&
+      MAIN_ANCHORS.every((sel) => childBySelector(main, sel) && childBySelector(document.querySelector("body > main"), sel));
+    if (!anchorsOk) return false;
+
+    // Inline page scripts would never run after a swap
+    if (doc.querySelector('script:not([src]):not([type="application/ld+json"])')) return false;
+
+    const assets = 'script[src], link[rel="stylesheet"]';
+    const loaded = new Set(
+      Array.from(document.querySelectorAll(assets), (el) => resolve(el, window.location.href))
+    );
+    return Array.from(doc.querySelectorAll(assets)).every((el) => loaded.has(resolve(el, url)));
+  };
+
+  const copyAttributes = (live, next) => {
+    Array.from(live.attributes).forEach((attr) => {
+      if (!next.hasAttribute(attr.name)) live.removeAttribute(attr.name);
+    });
+    Array.from(next.attributes).forEach((attr) => {
+      live.setAttribute(attr.name, attr.value);
     });
   };
 
-  stage.addEventListener("pointerdown", (e) => {
-    if (!isOpen || isAnimating) return;
+  // Replace everything but the anchors (and kept nodes) with the new
+  // page's children, keeping the new page's order around the anchors
+  const reconcile = (live, next, anchors, keep) => {
+    const pairs = new Map(
+      anchors.map((sel) => [childBySelector(next, sel), childBySelector(live, sel)])
+    );
+    const kept = new Set(pairs.values());
+
+    Array.from(live.childNodes).forEach((node) => {
+      if (kept.has(node)) return;
+      if (keep && node.nodeType === Node.ELEMENT_NODE && node.matches(keep)) return;
+      node.remove();
+    });
 
-    pointerDown = true;
-    activePointerId = e.pointerId;
-    startX = e.clientX;
-    deltaX = 0;
-    startT = performance.now();
+    let ref = pairs.values().next().value;
 
-    imgEl.classList.add("is-dragging");
-    stage.setPointerCapture?.(activePointerId);
-  });
+    Array.from(next.childNodes).forEach((node) => {
+      if (pairs.has(node)) {
+        ref = pairs.get(node).nextSibling;
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE || node.matches("script")) return;
 
-  stage.addEventListener("pointermove", (e) => {
-    if (!pointerDown || e.pointerId !== activePointerId) return;
+      live.insertBefore(document.adoptNode(node), ref);
+    });
+  };
 
-    deltaX = e.clientX - startX;
-    setDragVisual(deltaX);
-  });
+  const render = (doc) => {
+    const liveMain = childBySelector(document.body, "main");
+    const nextMain = childBySelector(doc.body, "main");
 
-  const finishSwipe = () => {
-    if (!pointerDown) return;
+    el32Pages.swap(() => {
+      document.head.querySelectorAll(HEAD_SYNC).forEach((el) => el.remove());
+      doc.head.querySelectorAll(HEAD_SYNC).forEach((el) => {
+        document.head.appendChild(document.adoptNode(el));
+      });
 
-    pointerDown = false;
+      copyAttributes(document.body, doc.body);
+      reconcile(document.body, doc.body, BODY_ANCHORS, BODY_KEEP);
 
-    const w = Math.max(320, window.innerWidth);
-    const elapsed = Math.max(1, performance.now() - startT);
-    const velocity = deltaX / elapsed; // px per ms
+      copyAttributes(liveMain, nextMain);
+      reconcile(liveMain, nextMain, MAIN_ANCHORS, null);
+    });
+  };
 
-    // Tuned thresholds: responsive but not jumpy
-    const distanceOK = Math.abs(deltaX) > w * 0.18;
-    const velocityOK = Math.abs(velocity) > 0.65;
+  // --- scroll ----------------------------------------------------------
 
-    // Determine direction: swipe left => next, swipe right => prev
-    const dir = deltaX < 0 ? 1 : -1;
+  const scrollEl = () =>
+    document.querySelector(".page__scroll") || document.scrollingElement;
 
-    // If not enough swipe, snap back cleanly
-    if (!(distanceOK || velocityOK)) {
-      animateTo(0, 1, () => {
-        resetVisual();
-      });
-      return;
-    }
+  const saveScroll = () => {
+    const top = scrollEl()?.scrollTop ?? 0;
+    history.replaceState({ ...history.state, el32Scroll: top }, "");
+  };
 
-    // Slide current image out
-    const outX = dir === 1 ? -w : w;
+  const restoreScroll = (url, top) => {
+    const target = url.hash && document.getElementById(decodeURIComponent(url.hash.slice(1)));
+    if (target) target.scrollIntoView();
+    else if (scrollEl()) scrollEl().scrollTop = top;
+  };
 
-    animateTo(outX, 0.9, () => {
-      // Swap image once off-screen
-      if (dir === 1) next();
-      else prev();
+  // Keep the position current, so Back from the next page lands here
+  let scrollTimer = 0;
+  document.addEventListener(
+    "scroll",
+    () => {
+      window.clearTimeout(scrollTimer);
+      scrollTimer = window.setTimeout(saveScroll, SCROLL_SAVE_MS);
+    },
+    { capture: true, passive: true }
+  );
 
-      // Place new image just off-screen opposite side (no transition)
-      imgEl.classList.add("is-dragging");
-      imgEl.style.transform = `translate3d(${dir === 1 ? w : -w}px, 0, 0)`;
-      imgEl.style.opacity = "0.9";
+  if ("scrollRestoration" in history) history.scrollRestoration = "manual";
 
-      // Animate into place
-      requestAnimationFrame(() => {
-        imgEl.classList.remove("is-dragging");
-        resetVisual();
+  // --- navigate --------------------------------------------------------
+
+  const focusPage = () => {
+    const heading = document.querySelector("main h1");
+    if (!heading) return;
+    if (!heading.hasAttribute("tabindex")) heading.setAttribute("tabindex", "-1");
+    heading.focus({ preventScroll: true });
+  };
+
+  const navigate = (url, { push, scrollTop = 0 }) => {
+    const token = ++navToken;
+    if (push) saveScroll();
+
+    load(url)
+      .then((html) => {
+        if (token !== navToken) return;
+
+        const doc = new DOMParser().parseFromString(html, "text/html");
+        if (!canSwap(doc, url)) throw new Error("Page needs a full load");
+
+        if (push) history.pushState({ el32Scroll: 0 }, "", url.href);
+
+        const update = () => {
+          render(doc);
+          currentKey = el32Site.pageKey(url);
+          restoreScroll(url, scrollTop);
+          focusPage();
+
+          document.dispatchEvent(
+            new CustomEvent("el32:page-change", { detail: { url: url.href } })
+          );
+        };
+
+        // The URL is already this page's: load it for real, in place
+        const reload = (err) => {
+          el32Telemetry.captureError(err, { component: "router" });
+          if (token === navToken) window.location.replace(url.href);
+        };
+
+        // Inside a view transition, a throw never reaches .catch below
+        if (document.startViewTransition && !el32Env.reducedMotion.value) {
+          document.startViewTransition(update).updateCallbackDone.catch(reload);
+          return;
+        }
+
+        try {
+          update();
+        } catch (err) {
+          reload(err);
+        }
+      })
+      .catch(() => {
+        if (token !== navToken) return;
+
+        // Plain navigation: the browser shows whatever the server says
+        if (push) window.location.assign(url.href);
+        else window.location.replace(url.href);
       });
-    });
   };
 
-  stage.addEventListener("pointerup", finishSwipe);
-  stage.addEventListener("pointercancel", finishSwipe);
-})();
+  document.addEventListener("click", (e) => {
+    if (e.defaultPrevented || e.button !== 0) return;
+    if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
 
-/* =====================================================================
-   About Lead — Translation Toggle (Matches tagline behavior)
-   Purpose:
-   - Tap/click toggles English ↔ Spanish statement
-   - Uses hidden span swap (same pattern as tagline)
-===================================================================== */
+    const url = pageUrl(e.target.closest?.("a[href]"));
+    if (!url) return;
 
-(() => {
-  "use strict";
+    e.preventDefault();
+    navigate(url, { push: true });
+  });
 
-  const btn = document.querySelector("[data-about-lead]");
-  if (!btn) return;
+  window.addEventListener("popstate", (e) => {
+    const url = new URL(window.location.href);
 
-  const en = btn.querySelector("[data-en]");
-  const es = btn.querySelector("[data-es]");
-  if (!en || !es) return;
+    // Same page (hash / lightbox entries): the page's own code handles it
+    if (el32Site.pageKey(url) === currentKey) return;
 
-  const setLang = (lang) => {
-    const isSpanish = lang === "es";
+    navigate(url, { push: false, scrollTop: e.state?.el32Scroll ?? 0 });
+  });
 
-    btn.dataset.lang = lang;
-    btn.setAttribute("aria-pressed", isSpanish ? "true" : "false");
+  // --- prefetch --------------------------------------------------------
 
-    en.hidden = isSpanish;
-    es.hidden = !isSpanish;
-  };
+  let hoverTimer = 0;
 
-  // Default: English
-  setLang(btn.dataset.lang || "en");
+  document.addEventListener("mouseover", (e) => {
+    const url = pageUrl(e.target.closest?.("a[href]"));
+    if (!url) return;
 
-  btn.addEventListener("click", () => {
-    const next = btn.dataset.lang === "en" ? "es" : "en";
-    setLang(next);
+    window.clearTimeout(hoverTimer);
+    hoverTimer = window.setTimeout(() => prefetch(url), PREFETCH_DELAY_MS);
   });
-})();
-
-/* =========================================================
-   Disable pinch-to-zoom (hard lock)
-   - iOS Safari / touch devices
-========================================================= */
-(() => {
-  document.addEventListener(
-    "gesturestart",
-    (e) => e.preventDefault(),
-    { passive: false }
-  );
 
-  document.addEventListener(
-    "gesturechange",
-    (e) => e.preventDefault(),
-    { passive: false }
-  );
+  document.addEventListener("mouseout", (e) => {
+    if (e.target.closest?.("a[href]")) window.clearTimeout(hoverTimer);
+  });
 
   document.addEventListener(
-    "gestureend",
-    (e) => e.preventDefault(),
-    { passive: false }
+    "touchstart",
+    (e) => {
+      const url = pageUrl(e.target.closest?.("a[href]"));
+      if (url) prefetch(url);
+    },
+    { passive: true }
   );
-})();
\ No newline at end of file
+})();
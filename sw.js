@@ -0,0 +1,187 @@
+/* =====================================================================
+   El 32 — Service Worker (Offline + Install)
+   Purpose:
+   - Precaches every page + the core assets so hours, menu and address
+     still load on bad signal downtown
+   - Runtime cache for gallery / event / menu photos (capped)
+   Strategy:
+   - Pages:        network-first → cached copy → cached About page
+                   ("/menu" offline is served the cached menu.html)
+   - data/*.json:  network-first → cached copy (events stay fresh)
+   - JS + CSS:     network-first → cached copy, so a freshly deployed
+                   page never runs against the previous deploy's code
+   - Other core:   cache-first (the precache is rebuilt every deploy)
+   - Images:       cache-first into a capped runtime cache
+   Notes:
+   - VERSION is stamped with the commit SHA by the Pages workflow, so
+     every deploy installs a fresh precache. main.js then shows the
+     "update available" prompt and posts SKIP_WAITING on reload.
+   - Cross-origin requests (fonts, forms, maps) are left alone
+===================================================================== */
+"use strict";
+
+const VERSION = "dev";
+
+const PRECACHE = `el32-precache-${VERSION}`;
+const RUNTIME_IMAGES = "el32-images";
+const RUNTIME_IMAGE_LIMIT = 40;
+
+// Served when a page was never cached: hours + address live here
+const OFFLINE_FALLBACK = "about.html";
+
+const PRECACHE_URLS = [
+  "./",
+  "index.html",
+  "about.html",
+  "menu.html",
+  "events.html",
+  "party.html",
+  "contact.html",
+  "css/style.css",
+  "js/main.js",
+  "data/events.json",
+  "data/menu.json",
+  "data/gallery.json",
+  "manifest.webmanifest",
+  "favicon.ico",
+  "apple-touch-icon.png",
+  "assets/images/icon-192.png",
+  "assets/images/icon-512.png",
+  "assets/images/icon-maskable-192.png",
+  "assets/images/icon-maskable-512.png",
+  "assets/images/el32-logo.svg",
+  "assets/images/El-32-Menu.pdf",
+  "assets/images/El-32-Menu.PNG",
+];
+
+const IMAGE_PATTERN = /\.(?:jpe?g|png|webp|avif|gif|svg)$/i;
+const CODE_PATTERN = /\.(?:js|css)$/i;
+
+// --- helpers -----------------------------------------------------------
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+// Clean URLs ("/menu", links on the landing) are cached as "menu.html"
+const pageCacheUrl = (url) => {
+  const last = url.pathname.split("/").pop();
+  if (last === "" || last.includes(".")) return null;
+  return `${url.origin}${url.pathname}.html`;
+};
+
+// Oldest entries go first (Cache keys keep insertion order)
+const trimCache = async (name, limit) => {
+  const cache = await caches.open(name);
+  const keys = await cache.keys();
+  const excess = keys.length - limit;
+
+  for (let i = 0; i < excess; i += 1) {
+    await cache.delete(keys[i]);
+  }
+};
+
+const putIfOk = async (cacheName, request, response) => {
+  if (!response || !response.ok || response.type === "opaque") return;
+  const cache = await caches.open(cacheName);
+  await cache.put(request, response);
+};
+
+// --- strategies --------------------------------------------------------
+
+const networkFirst = async (request, { fallbackPath, alias } = {}) => {
+  try {
+    const response = await fetch(request);
+    await putIfOk(PRECACHE, request, response.clone());
+    return response;
+  } catch (err) {
+    const cached =
+      (await caches.match(request, { ignoreSearch: true })) ||
+      (alias && (await caches.match(alias, { ignoreSearch: true })));
+    if (cached) return cached;
+
+    if (fallbackPath) {
+      const fallback = await caches.match(scopeUrl(fallbackPath));
+      if (fallback) return fallback;
+    }
+
+    throw err;
+  }
+};
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+  return fetch(request);
+};
+
+const cachedImage = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  await putIfOk(RUNTIME_IMAGES, request, response.clone());
+  await trimCache(RUNTIME_IMAGES, RUNTIME_IMAGE_LIMIT);
+  return response;
+};
+
+// --- lifecycle ---------------------------------------------------------
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(PRECACHE).then((cache) =>
+      // Bypass the HTTP cache so a deploy never precaches stale files
+      cache.addAll(PRECACHE_URLS.map((url) => new Request(url, { cache: "reload" })))
+    )
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith("el32-precache-") && name !== PRECACHE)
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// Sent by main.js when the guest accepts the update prompt
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+// --- routing -----------------------------------------------------------
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(
+      networkFirst(request, { fallbackPath: OFFLINE_FALLBACK, alias: pageCacheUrl(url) })
+    );
+    return;
+  }
+
+  if (url.pathname.includes("/data/") && url.pathname.endsWith(".json")) {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+
+  const precached = PRECACHE_URLS.some((path) => scopeUrl(path) === url.origin + url.pathname);
+  if (precached) {
+    event.respondWith(CODE_PATTERN.test(url.pathname) ? networkFirst(request) : cacheFirst(request));
+    return;
+  }
+
+  if (IMAGE_PATTERN.test(url.pathname)) {
+    event.respondWith(cachedImage(request));
+  }
+});
@@ -0,0 +1,372 @@
+/* =====================================================================
+   El 32 — Site Builder
+   Purpose:
+   - Builds every page from src/pages + src/partials + src/site.json, so
+     address, phone, Instagram, hours, JSON-LD and the footer year live
+     in one place
+   - Writes sitemap.xml (lastmod only moves when a page's HTML changes)
+   - Fails the build on broken internal links and missing images
+   Usage:
+     node tools/build.js      (writes *.html + sitemap.xml in the repo root)
+   Templates:
+     {{ page.title }}                  value, HTML-escaped
+     {{{ businessJsonLd }}}            value, as-is
+     {{> footer }}                     src/partials/footer.html
+     {{> discover class="menu" }}      partial with extra values
+   Notes:
+   - A tag on a line of its own indents every line it inserts to match
+   - An unknown value or partial is an error, never an empty string
+   - Nothing is written unless every page builds and every link resolves
+===================================================================== */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..");
+const SRC = path.join(ROOT, "src");
+const PAGES_DIR = path.join(SRC, "pages");
+const PARTIALS_DIR = path.join(SRC, "partials");
+const SITEMAP = path.join(ROOT, "sitemap.xml");
+
+const DEFAULT_VIEWPORT = "width=device-width, initial-scale=1, viewport-fit=cover";
+
+// Also checked: image paths in the JSON feeds + the manifest icons
+const DATA_FILES = ["data/events.json", "data/menu.json", "data/gallery.json"];
+const MANIFEST = "manifest.webmanifest";
+
+const DAY_KEYS = {
+  Monday: "day.monday",
+  Tuesday: "day.tuesday",
+  Wednesday: "day.wednesday",
+  Thursday: "day.thursday",
+  Friday: "day.friday",
+  Saturday: "day.saturday",
+  Sunday: "day.sunday",
+};
+
+class BuildError extends Error {}
+
+// --- helpers -----------------------------------------------------------
+
+const read = (file) => fs.readFileSync(file, "utf8");
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const lookup = (scope, key, where) => {
+  const value = key.split(".").reduce((obj, part) => obj?.[part], scope);
+  if (value === undefined || value === null) {
+    throw new BuildError(`${where}: no value for {{ ${key} }}`);
+  }
+  return value;
+};
+
+// "20:00" → "8pm", "02:30" → "2:30am"
+const clock = (hhmm) => {
+  const [h, m] = hhmm.split(":").map(Number);
+  const suffix = h < 12 ? "am" : "pm";
+  const hour = h % 12 || 12;
+  return m ? `${hour}:${String(m).padStart(2, "0")}${suffix}` : `${hour}${suffix}`;
+};
+
+// "2026-10-19" in the bar's time zone (not the build machine's)
+const dateIn = (timeZone, date = new Date()) =>
+  new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+
+// --- templates ---------------------------------------------------------
+
+const TAG = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{>\s*([\w-]+)((?:\s+[\w-]+="[^"]*")*)\s*\}\}|\{\{\s*([\w.]+)\s*\}\}/g;
+
+const partials = new Map();
+
+const partial = (name, where) => {
+  if (!partials.has(name)) {
+    const file = path.join(PARTIALS_DIR, `${name}.html`);
+    if (!fs.existsSync(file)) throw new BuildError(`${where}: no partial "${name}"`);
+    partials.set(name, read(file).trimEnd());
+  }
+  return partials.get(name);
+};
+
+const parseArgs = (args) =>
+  Object.fromEntries(Array.from(args.matchAll(/([\w-]+)="([^"]*)"/g), (m) => [m[1], m[2]]));
+
+// Multi-line output takes the indent of a tag that sits alone on its line
+const indentLike = (template, offset, length, text) => {
+  const lineStart = template.lastIndexOf("\n", offset - 1) + 1;
+  const lineEnd = template.indexOf("\n", offset + length);
+  const before = template.slice(lineStart, offset);
+  const after = template.slice(offset + length, lineEnd === -1 ? undefined : lineEnd);
+  if (/\S/.test(before) || /\S/.test(after)) return text;
+
+  return text
+    .split("\n")
+    .map((line, i) => (i === 0 || line === "" ? line : before + line))
+    .join("\n");
+};
+
+const render = (template, scope, where) =>
+  template.replace(TAG, (match, raw, name, args, escaped, offset) => {
+    let text;
+    if (name) {
+      text = render(partial(name, where), { ...scope, ...parseArgs(args) }, `partials/${name}.html`);
+    } else if (raw) {
+      text = String(lookup(scope, raw, where));
+    } else {
+      text = escapeHtml(lookup(scope, escaped, where));
+    }
+    return indentLike(template, offset, match.length, text);
+  });
+
+// --- site values -------------------------------------------------------
+
+const absolute = (site, ref) => new URL(ref, site.url).href;
+
+const businessJsonLd = (site) =>
+  JSON.stringify(
+    {
+      "@context": "https://schema.org",
+      "@type": "BarOrPub",
+      name: site.name,
+      url: site.url,
+      image: absolute(site, site.image),
+      telephone: site.telephone,
+      email: site.email,
+      address: { "@type": "PostalAddress", ...site.address },
+      sameAs: [site.instagram.url],
+      openingHoursSpecification: site.hours.map(({ day, opens, closes }) => ({
+        "@type": "OpeningHoursSpecification",
+        dayOfWeek: day,
+        opens,
+        closes,
+      })),
+    },
+    null,
+    2
+  );
+
+const hoursRows = (site) =>
+  site.hours
+    .map(({ day, opens, closes }) => {
+      if (!DAY_KEYS[day]) throw new BuildError(`site.json: unknown day "${day}"`);
+      return [
+        `<div class="hours__row" data-day="${day}" data-reveal-item>`,
+        `  <dt class="hours__day" data-i18n="${DAY_KEYS[day]}">${day}</dt>`,
+        `  <dd class="hours__time">${clock(opens)}–${clock(closes)}</dd>`,
+        `</div>`,
+      ].join("\n");
+    })
+    .join("\n\n");
+
+const siteScope = (site, today) => {
+  const { streetAddress, addressLocality, addressRegion, postalCode } = site.address;
+  const addressLine = `${streetAddress}, ${addressLocality}, ${addressRegion} ${postalCode}`;
+
+  return {
+    site,
+    year: today.slice(0, 4),
+    addressLine,
+    mapsUrl: `https://www.google.com/maps/search/?api=1&query=${encodeURI(addressLine).replace(/%20/g, "+")}`,
+    telHref: site.telephone.replace(/[^+\d]/g, ""),
+    // "+1-434-209-5900" → "434 209 5900"
+    phoneDisplay: site.telephone.replace(/^\+1-/, "").replace(/-/g, " "),
+    businessJsonLd: businessJsonLd(site),
+    hoursRows: hoursRows(site),
+  };
+};
+
+const pageUrl = (site, page) => absolute(site, page.file === "index.html" ? "./" : page.file);
+
+const buildPage = (site, page, shared) => {
+  const source = path.join(PAGES_DIR, page.file);
+  if (!fs.existsSync(source)) throw new BuildError(`site.json: no src/pages/${page.file}`);
+
+  const html = render(
+    read(source),
+    {
+      ...shared,
+      page: { viewport: DEFAULT_VIEWPORT, ...page },
+      canonical: pageUrl(site, page),
+      shareImage: absolute(site, page.image || site.image),
+    },
+    `pages/${page.file}`
+  );
+
+  // Keeps hand edits out of the generated copy
+  return html.replace(
+    /^<!DOCTYPE html>\n/i,
+    (doctype) => `${doctype}<!-- Built by tools/build.js from src/pages/${page.file}; edit that instead -->\n`
+  );
+};
+
+// --- link check --------------------------------------------------------
+
+const LINK_ATTR = /\s(href|src|srcset|poster)="([^"]*)"/g;
+const SKIP_SCHEME = /^(?:mailto:|tel:|data:|javascript:|sms:)/i;
+
+// Commented-out markup (e.g. optional WebP sources) is not checked
+const withoutComments = (html) => html.replace(/<!--[\s\S]*?-->/g, "");
+
+const idsIn = (html) =>
+  new Set(Array.from(withoutComments(html).matchAll(/\sid="([^"]+)"/g), (m) => m[1]));
+
+// Repo file for a same-site path: "about" → about.html, "x/" → x/index.html
+const fileFor = (pathname, built) => {
+  const rel = decodeURIComponent(pathname).replace(/^\/+/, "");
+  const candidates = rel === "" || rel.endsWith("/")
+    ? [`${rel}index.html`]
+    : [rel, `${rel}.html`];
+  return (
+    candidates.find((candidate) => built.has(candidate) || fs.existsSync(path.join(ROOT, candidate))) ||
+    null
+  );
+};
+
+// JSON feeds hold page-relative paths, so they resolve from the root
+const checkRef = (site, ref, fromFile, built, problems, baseFile = fromFile) => {
+  if (ref === "" || SKIP_SCHEME.test(ref)) return;
+
+  const origin = new URL(site.url).origin;
+  const url = new URL(ref, new URL(baseFile, site.url));
+  if (url.origin !== origin) return; // external: not ours to check
+
+  const target = fileFor(url.pathname, built);
+  if (!target) {
+    problems.push(`${fromFile}: broken link "${ref}"`);
+    return;
+  }
+
+  const id = decodeURIComponent(url.hash.slice(1));
+  if (!id) return;
+
+  const html = built.get(target) ?? (target.endsWith(".html") ? read(path.join(ROOT, target)) : null);
+  if (html !== null && !idsIn(html).has(id)) {
+    problems.push(`${fromFile}: "${ref}" points at a missing id`);
+  }
+};
+
+const refsIn = (html) =>
+  Array.from(withoutComments(html).matchAll(LINK_ATTR)).flatMap(([, attr, value]) =>
+    attr === "srcset"
+      ? value.split(",").map((part) => part.trim().split(/\s+/)[0])
+      : [value.replace(/&amp;/g, "&")]
+  );
+
+// Every "assets/…" string anywhere in a JSON feed is an image to check
+const assetsIn = (value) => {
+  if (typeof value === "string") return /^\/?assets\//.test(value) ? [value] : [];
+  if (Array.isArray(value)) return value.flatMap(assetsIn);
+  if (value && typeof value === "object") return Object.values(value).flatMap(assetsIn);
+  return [];
+};
+
+const checkLinks = (site, built) => {
+  const problems = [];
+
+  built.forEach((html, file) => {
+    refsIn(html).forEach((ref) => checkRef(site, ref, file, built, problems));
+
+    // Share images are absolute URLs inside content=""
+    Array.from(html.matchAll(/property="og:image"\s+content="([^"]+)"/g)).forEach((m) =>
+      checkRef(site, m[1], file, built, problems)
+    );
+  });
+
+  DATA_FILES.filter((file) => fs.existsSync(path.join(ROOT, file))).forEach((file) => {
+    assetsIn(JSON.parse(read(path.join(ROOT, file)))).forEach((ref) =>
+      checkRef(site, ref, file, built, problems, "index.html")
+    );
+  });
+
+  const manifest = JSON.parse(read(path.join(ROOT, MANIFEST)));
+  (manifest.icons || []).forEach((icon) => checkRef(site, icon.src, MANIFEST, built, problems));
+
+  return problems;
+};
+
+// --- sitemap -----------------------------------------------------------
+
+const previousLastmods = () => {
+  if (!fs.existsSync(SITEMAP)) return new Map();
+  return new Map(
+    Array.from(
+      read(SITEMAP).matchAll(/<loc>([^<]+)<\/loc>\s*<lastmod>([^<]+)<\/lastmod>/g),
+      (m) => [m[1], m[2]]
+    )
+  );
+};
+
+const buildSitemap = (site, built, today) => {
+  const before = previousLastmods();
+
+  const entries = site.pages.map((page) => {
+    const loc = pageUrl(site, page);
+    const target = path.join(ROOT, page.file);
+    const unchanged = fs.existsSync(target) && read(target) === built.get(page.file);
+    const lastmod = (unchanged && before.get(loc)) || today;
+
+    return [
+      "  <url>",
+      `    <loc>${loc}</loc>`,
+      `    <lastmod>${lastmod}</lastmod>`,
+      `    <changefreq>${page.changefreq}</changefreq>`,
+      `    <priority>${page.priority}</priority>`,
+      "  </url>",
+    ].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    entries.join("\n\n"),
+    "</urlset>",
+    "",
+  ].join("\n");
+};
+
+// --- run ---------------------------------------------------------------
+
+const build = () => {
+  const site = JSON.parse(read(path.join(SRC, "site.json")));
+  const today = dateIn(site.timeZone);
+  const shared = siteScope(site, today);
+
+  const built = new Map(site.pages.map((page) => [page.file, buildPage(site, page, shared)]));
+
+  const problems = checkLinks(site, built);
+  if (problems.length) {
+    throw new BuildError(`${problems.length} broken reference(s):\n  ${problems.join("\n  ")}`);
+  }
+
+  // Before the pages are written: lastmod compares against the old copies
+  const sitemap = buildSitemap(site, built, today);
+
+  let changed = 0;
+  built.forEach((html, file) => {
+    const target = path.join(ROOT, file);
+    if (fs.existsSync(target) && read(target) === html) return;
+    fs.writeFileSync(target, html);
+    changed += 1;
+  });
+  fs.writeFileSync(SITEMAP, sitemap);
+
+  console.log(`[build] ${built.size} pages (${changed} changed) + sitemap.xml`);
+};
+
+try {
+  build();
+} catch (err) {
+  if (!(err instanceof BuildError)) throw err;
+  console.error(`[build] ${err.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,144 @@
+/* =====================================================================
+   El 32 — Local Form Stub
+   Purpose:
+   - Serves the site on localhost with a stand-in for the Web3Forms API
+   - Lets the in-page contact form be tested without sending real mail
+   Usage:
+     node tools/form-stub.js            (http://localhost:8787)
+     PORT=9000 node tools/form-stub.js
+   Then open, e.g.:
+     /contact.html?endpoint=/submit     → success
+     /contact.html?endpoint=/fail       → server error text
+     /contact.html?endpoint=/slow       → success after 3s (pending state)
+     /contact.html?endpoint=/captcha    → captcha rejection
+     /party.html?analytics=/collect     → analytics batches logged
+     /party.html?telemetry=/telemetry   → error + vitals samples logged
+   Notes:
+   - Responses mirror Web3Forms: { success, message }
+   - Submitted fields are logged to the terminal
+===================================================================== */
+"use strict";
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..");
+const PORT = Number(process.env.PORT) || 8787;
+
+const TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".webmanifest": "application/manifest+json",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".webp": "image/webp",
+  ".ico": "image/x-icon",
+  ".pdf": "application/pdf",
+  ".xml": "application/xml",
+  ".txt": "text/plain; charset=utf-8",
+};
+
+const ENDPOINTS = {
+  "/submit": { status: 200, delay: 400, body: { success: true, message: "Email sent successfully!" } },
+  "/slow": { status: 200, delay: 3000, body: { success: true, message: "Email sent successfully!" } },
+  "/fail": { status: 500, delay: 400, body: { success: false, message: "Stub server error." } },
+  "/captcha": { status: 400, delay: 400, body: { success: false, message: "Captcha verification failed." } },
+};
+
+// Beacons: log the batch, answer like a real collector
+const COLLECTORS = {
+  "/collect": "analytics",
+  "/telemetry": "telemetry",
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(JSON.stringify(body));
+};
+
+// Path + decoded path, or null for a request URL that doesn't parse
+// (e.g. "//" or a malformed escape such as /%E0)
+const parsePath = (req) => {
+  try {
+    const { pathname } = new URL(req.url, "http://localhost");
+    return { pathname, urlPath: decodeURIComponent(pathname) };
+  } catch {
+    return null;
+  }
+};
+
+const serveFile = (urlPath, res) => {
+  const file = path.join(ROOT, urlPath.endsWith("/") ? `${urlPath}index.html` : urlPath);
+
+  // Stay inside the repo (not just a path that starts with its name)
+  const rel = path.relative(ROOT, file);
+  if (rel === ".." || rel.startsWith(`..${path.sep}`) || path.isAbsolute(rel)) {
+    res.writeHead(403).end();
+    return;
+  }
+
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" }).end("Not found");
+      return;
+    }
+    res.writeHead(200, { "Content-Type": TYPES[path.extname(file)] || "application/octet-stream" });
+    res.end(data);
+  });
+};
+
+http
+  .createServer((req, res) => {
+    const parsed = parsePath(req);
+
+    if (!parsed) {
+      res.writeHead(400, { "Content-Type": "text/plain; charset=utf-8" }).end("Bad request");
+      return;
+    }
+
+    const route = ENDPOINTS[parsed.pathname];
+
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Headers": "Accept, Content-Type",
+      });
+      res.end();
+      return;
+    }
+
+    const collector = COLLECTORS[parsed.pathname];
+
+    if (req.method === "POST" && collector) {
+      let raw = "";
+      req.on("data", (chunk) => (raw += chunk));
+      req.on("end", () => {
+        console.log(`[form-stub] ${collector}\n${raw}\n`);
+        res.writeHead(204).end();
+      });
+      return;
+    }
+
+    if (req.method === "POST" && route) {
+      let raw = "";
+      req.on("data", (chunk) => (raw += chunk));
+      req.on("end", () => {
+        console.log(`[form-stub] POST ${req.url}\n${raw}\n`);
+        setTimeout(() => sendJson(res, route.status, route.body), route.delay);
+      });
+      return;
+    }
+
+    serveFile(parsed.urlPath, res);
+  })
+  .listen(PORT, () => {
+    console.log(`[form-stub] http://localhost:${PORT}/contact.html?endpoint=/submit`);
+  });